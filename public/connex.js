@@ -1,24 +1,20 @@
 
 // ================================
 // Connex — TV Path Puzzle (Zip-style)
-// Randomized path + rotated labels; free movement; backdraw only 1 step; block other revisits.
-// Win only if: full coverage + numbers first-visited in order + end on last number.
+// Canvas UI over the engine in ./engine (rules, generation, solver); layouts are
+// generated in ./worker.js. Modes (MODES) live in ./engine/modes.js.
 // ================================
-
-// ---------- Modes in one dropdown (uses #levelSelect) ----------
-const MODES = [
-  { key: "zip",      label: "Zip 6×6 (12)",    kind: "zip" },
-  { key: "beginner", label: "Beginner (6×6)",  kind: "level", cols: 6, rows: 6, K: 10, minGap: 2, wallPct: 0.00, targetMs: 45_000 },
-  { key: "standard", label: "Standard (6×6)",  kind: "level", cols: 6, rows: 6, K: 12, minGap: 3, wallPct: 0.04, targetMs: 60_000 },
-  { key: "advanced", label: "Advanced (6×6)",  kind: "level", cols: 6, rows: 6, K: 12, minGap: 5, wallPct: 0.08, targetMs: 75_000 },
-  { key: "expert",   label: "Expert (6×6)",    kind: "level", cols: 6, rows: 6, K: 12, minGap: 7, wallPct: 0.12, targetMs: 90_000 }
-];
+import { MODES, getMode, sizedMode, BOARD_SIZES, MAX_BOARD_SIDE, DIFFICULTY_TIERS, listTemplates, getTemplate, generationOptions, createGame, DIRS, puzzleId, encodePuzzle, decodePuzzle, normalizeSavedLayout, encodeSave, decodeSave, resumeGame, decodeStats, emptyStats, startGame, finishGame, summarizeStats, dailyResults, dailyStreak, utcDay, describePosition, describeBoard } from './engine/index.js';
+import { runJob } from './engine/jobs.js';
+import { THEMES, getTheme } from './themes.js';
 
 // ---------- Canvas / UI refs ----------
 const canvas   = document.getElementById("game");
 const ctx      = canvas.getContext("2d");
 const statusEl = document.getElementById("status");
+const liveEl   = document.getElementById("boardLive");   // screen-reader announcements (see announce)
 const levelSel = document.getElementById("levelSelect");
+const sizeSel  = document.getElementById("sizeSelect");
 
 // Focus so Arrow keys work
 canvas.setAttribute('tabindex', '0');
@@ -28,25 +24,21 @@ canvas.addEventListener('touchstart', () => canvas.focus());
 
 // ---------- Grid sizing ----------
 let COLS = 6, ROWS = 6;
-let CELL = Math.floor(canvas.width / COLS);
+let CELL = Math.floor(canvas.width / COLS);   // square cells; the canvas is COLS*CELL × ROWS*CELL (see sizeCanvas)
 
 // ---------- Mode & timing ----------
 let lastModeKey = "zip";           // default Zip
 let currentTargetMs = 60_000;
 
 // ---------- Game State ----------
-let grid, player, goal;
-let trail = [];                    // [{x,y}] ordered path
-let visitedCells = new Set();      // distinct coverage ("x,y")
+let game = null;                   // engine game (engine/game.js); the canvas just renders its state
 let savedLayout = null;
-
-let anchors = [];                  // [{x,y,n}] n = 1..K
-let anchorsMap = new Map();        // "x,y" -> n
-let walls = new Set();             // "x,y|right" or "x,y|down"
+let hint = null;                   // last hint (engine/hints.js), drawn until the next step
+let editing = null;                // level editor state while it is open (see Level editor)
 
 // ---------- Timer ----------
 let startTime = null, elapsed = 0, timerId = null, hasStarted = false;
-let gameOver = false;
+let generating = false;            // a generator job is running; input is ignored until it lands
 
 // ---------- Utils ----------
 function formatTime(ms) {
@@ -54,30 +46,26 @@ function formatTime(ms) {
   const mm = Math.floor(ms/60000), ss = Math.floor((ms%60000)/1000), ms3 = ms%1000;
   return `${String(mm).padStart(2,'0')}:${String(ss).padStart(2,'0')}.${String(ms3).padStart(3,'0')}`;
 }
-function keyOf(x, y) { return `${x},${y}`; }
 function tell(msg) { statusEl.textContent = msg; /* console.log(msg); */ }
-function getCellNumber(x, y) { return anchorsMap.get(keyOf(x, y)) ?? null; }
-function K() { return anchors.length; }
-
-function numbersFirstOrder() {
-  // First-visit order of numbers along the current trail.
-  const seen = new Set();
-  const order = [];
-  for (const p of trail) {
-    const n = getCellNumber(p.x, p.y);
-    if (n != null && !seen.has(n)) { seen.add(n); order.push(n); }
-  }
-  return order;
+// Spoken only (visually hidden live region): the board for screen-reader players.
+// A repeat gets a trailing space so it is read again.
+function announce(text) {
+  if (liveEl) liveEl.textContent = liveEl.textContent === text ? `${text}\u00a0` : text;
 }
-function nextRequiredNumber() {
-  const seen = new Set(numbersFirstOrder());
-  for (let n = 1; n <= K(); n++) if (!seen.has(n)) return n;
-  return null; // all collected at least once
+// R / Info: the whole board, then the clock (#timeTarget is not a live region:
+// it is rewritten every frame)
+function readBoard() {
+  if (game) announce(`${describeBoard(game)}\nTime ${formatTime(elapsed)}, target ${formatTime(currentTargetMs)}.`);
+}
+// ", Hard (57)" for a { score, tier } rating (engine/difficulty.js); "" if unrated
+function difficultyText(d) {
+  if (!d) return "";
+  return `, ${DIFFICULTY_TIERS.find(t => t.key === d.tier)?.label ?? d.tier} (${d.score})`;
 }
 function updateTimeTargetDisplay(ms) {
   const el = document.getElementById('timeTarget');
   if (!el) return;
-  const nextN = nextRequiredNumber();
+  const nextN = game ? game.nextRequired : null;
   const nextLabel = (nextN == null) ? "✓" : String(nextN);
   el.innerHTML = `<span class="label">⏱</span> ${formatTime(ms)}
                   <span class="label">|</span>
@@ -88,775 +76,41 @@ function updateTimeTargetDisplay(ms) {
 function startTimer() {
   if (hasStarted) return;
   hasStarted = true;
-  startTime = performance.now();
+  startTime = performance.now() - elapsed;   // elapsed > 0 after a resume
   const tick = () => { elapsed = performance.now() - startTime; updateTimeTargetDisplay(elapsed); timerId = requestAnimationFrame(tick); };
   timerId = requestAnimationFrame(tick);
 }
 function stopTimer() { if (timerId) cancelAnimationFrame(timerId); timerId = null; updateTimeTargetDisplay(elapsed); }
 
-// ---------- Path building (randomized snake) ----------
-function buildSnakePathBase(cols, rows) {
-  const path = [];
-  for (let y = 0; y < rows; y++) {
-    if (y % 2 === 0) for (let x = 0; x < cols; x++) path.push({ x, y });
-    else             for (let x = cols - 1; x >= 0; x--) path.push({ x, y });
-  }
-  return path;
-}
-function rotatePoint(p, rot, cols, rows) {
-  const { x, y } = p;
-  switch (rot % 4) {
-    case 0:  return { x, y };                                             // 0°
-    case 1:  return { x: y, y: cols - 1 - x };                            // 90°
-    case 2:  return { x: cols - 1 - x, y: rows - 1 - y };                 // 180°
-    case 3:  return { x: rows - 1 - y, y: x };                            // 270°
-  }
-}
-// small in-place shuffle
-function shuffleArray(arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-}
-
-// DFS-style Hamiltonian path generator (backtracking with Warnsdorff-like heuristic)
-function buildDFSHamiltonian(cols, rows) {
-  const total = cols * rows;
-  const dirs = [[0,-1],[1,0],[0,1],[-1,0]];
-
-  function neighbors(x, y, visited) {
-    const out = [];
-    for (const [dx, dy] of dirs) {
-      const nx = x + dx, ny = y + dy;
-      if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
-      if (!visited[ny][nx]) out.push({ x: nx, y: ny });
-    }
-    return out;
-  }
-
-  const maxAttempts = 8;
-  const timeBudgetMs = 200; // per attempt
-
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const visited = Array.from({ length: rows }, () => Array(cols).fill(false));
-    const path = [];
-
-    // choose a random start
-    const sx = Math.floor(Math.random() * cols);
-    const sy = Math.floor(Math.random() * rows);
-
-    let found = false;
-    const deadline = performance.now() + timeBudgetMs;
-
-    function dfs(x, y) {
-      if (performance.now() > deadline || found) return;
-      visited[y][x] = true; path.push({ x, y });
-      if (path.length === total) { found = true; return; }
-
-      // neighbors with Warnsdorff heuristic (fewest onward moves first)
-      let neigh = neighbors(x, y, visited);
-      // randomize then sort to break ties
-      shuffleArray(neigh);
-      neigh.sort((a, b) => neighbors(a.x, a.y, visited).length - neighbors(b.x, b.y, visited).length);
-
-      for (const n of neigh) {
-        if (found || performance.now() > deadline) break;
-        dfs(n.x, n.y);
-      }
-
-      if (!found) { visited[y][x] = false; path.pop(); }
-    }
-
-    dfs(sx, sy);
-    if (found && path.length === total) return path;
-  }
-
-  // fallback: failed to build a DFS Hamiltonian within attempts/time
-  return null;
+// ---------- Theme (themes.js) ----------
+// Board colours come from `theme`; the page's from the CSS custom properties it
+// sets. Large numbers scale the board's numbers up for viewing from the sofa.
+const themeSel = document.getElementById("themeSelect");
+const largeNumbersToggle = document.getElementById("largeNumbersToggle");
+let theme = THEMES[0];
+let largeNumbers = false;
+
+// Saved choice, else what the system asks for (more contrast, light scheme)
+function initialThemeKey() {
+  const saved = localStorage.getItem("connex.theme");
+  if (getTheme(saved)) return saved;
+  if (window.matchMedia?.("(prefers-contrast: more)").matches) return "contrast";
+  if (window.matchMedia?.("(prefers-color-scheme: light)").matches) return "light";
+  return "dark";
 }
-
-function buildSpiralSnakePath(cols, rows) {
-  const path = [];
-  let left = 0, top = 0, right = cols - 1, bottom = rows - 1;
-  while (left <= right && top <= bottom) {
-    for (let x = left; x <= right; x++) path.push({ x, y: top });
-    for (let y = top + 1; y <= bottom; y++) path.push({ x: right, y });
-    if (top < bottom) for (let x = right - 1; x >= left; x--) path.push({ x, y: bottom });
-    if (left < right) for (let y = bottom - 1; y > top; y--) path.push({ x: left, y });
-    left++; right--; top++; bottom--;
-  }
-  return path;
-}
-
-function buildColumnSnakePath(cols, rows) {
-  const path = [];
-  for (let x = 0; x < cols; x++) {
-    if (x % 2 === 0) for (let y = 0; y < rows; y++) path.push({ x, y });
-    else for (let y = rows - 1; y >= 0; y--) path.push({ x, y });
-  }
-  return path;
-}
-
-function buildDiagonalSnakePath(cols, rows) {
-  const path = [];
-  for (let s = 0; s <= cols + rows - 2; s++) {
-    const diag = [];
-    const xStart = Math.max(0, s - (rows - 1));
-    const xEnd = Math.min(cols - 1, s);
-    for (let x = xStart; x <= xEnd; x++) {
-      const y = s - x;
-      diag.push({ x, y });
-    }
-    // reverse every other diagonal to make the path continuous
-    if (s % 2 === 0) diag.reverse();
-    for (const p of diag) path.push(p);
-  }
-  return path;
-}
-
-function buildCenterSpiralPath(cols, rows) {
-  const total = cols * rows;
-  const visited = Array.from({ length: rows }, () => Array(cols).fill(false));
-  const path = [];
-  let x = Math.floor((cols - 1) / 2), y = Math.floor((rows - 1) / 2);
-  visited[y][x] = true; path.push({ x, y });
-  const dirs = [[1,0],[0,1],[-1,0],[0,-1]];
-  let len = 1;
-  while (path.length < total) {
-    for (let d = 0; d < 4 && path.length < total; d++) {
-      for (let step = 0; step < len && path.length < total; step++) {
-        x += dirs[d][0]; y += dirs[d][1];
-        if (x >= 0 && y >= 0 && x < cols && y < rows && !visited[y][x]) {
-          visited[y][x] = true; path.push({ x, y });
-        }
-      }
-      if (d % 2 === 1) len++;
-    }
-  }
-  // Fill any missed cells with base snake if necessary
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildRingsPath(cols, rows) {
-  const path = [];
-  const layers = Math.ceil(Math.min(cols, rows) / 2);
-  for (let layer = 0; layer < layers; layer++) {
-    const left = layer, top = layer, right = cols - 1 - layer, bottom = rows - 1 - layer;
-    const ring = [];
-    if (top <= bottom && left <= right) {
-      for (let x = left; x <= right; x++) ring.push({ x, y: top });
-      for (let y = top + 1; y <= bottom; y++) ring.push({ x: right, y });
-      if (bottom > top) for (let x = right - 1; x >= left; x--) ring.push({ x, y: bottom });
-      if (left < right) for (let y = bottom - 1; y > top; y--) ring.push({ x: left, y });
-    }
-    if (!ring.length) continue;
-    if (!path.length) { path.push(...ring); }
-    else {
-      const last = path[path.length - 1];
-      let idx = ring.findIndex(p => Math.abs(p.x - last.x) + Math.abs(p.y - last.y) === 1);
-      if (idx === -1) {
-        ring.reverse(); idx = ring.findIndex(p => Math.abs(p.x - last.x) + Math.abs(p.y - last.y) === 1);
-      }
-      if (idx !== -1) {
-        const rotated = ring.slice(idx).concat(ring.slice(0, idx));
-        path.push(...rotated);
-      } else {
-        path.push(...ring);
-      }
-    }
-  }
-  // Fill any missing cells
-  const total = cols * rows;
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildBlockSnakePath(cols, rows) {
-  const path = [];
-  for (let by = 0; by < rows; by += 2) {
-    const top = by;
-    const bottom = Math.min(by + 1, rows - 1);
-    const leftToRight = Math.floor(by / 2) % 2 === 0;
-    if (leftToRight) {
-      for (let x = 0; x < cols; x++) {
-        path.push({ x, y: top });
-        if (bottom !== top) path.push({ x, y: bottom });
-      }
-    } else {
-      for (let x = cols - 1; x >= 0; x--) {
-        path.push({ x, y: top });
-        if (bottom !== top) path.push({ x, y: bottom });
-      }
-    }
-  }
-  return path;
-}
-
-function buildTileSnakePath(cols, rows) {
-  const path = [];
-  for (let ty = 0; ty < rows; ty += 2) {
-    const tiles = [];
-    for (let tx = 0; tx < cols; tx += 2) {
-      const xs = [tx, Math.min(tx + 1, cols - 1)];
-      const ys = [ty, Math.min(ty + 1, rows - 1)];
-      const cells = [];
-      cells.push({ x: xs[0], y: ys[0] });
-      if (xs[1] !== xs[0] || ys[0] !== ys[0]) cells.push({ x: xs[1], y: ys[0] });
-      if (ys[1] !== ys[0]) cells.push({ x: xs[1], y: ys[1] });
-      if (xs[1] !== xs[0]) cells.push({ x: xs[0], y: ys[1] });
-      tiles.push(cells);
-    }
-    if ((ty / 2) % 2 === 1) tiles.reverse();
-    for (const t of tiles) for (const p of t) path.push(p);
-  }
-  // If something is missing (odd sizes), fill with base snake order
-  const total = cols * rows;
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildCheckerboardPath(cols, rows) {
-  // Checkerboard-like appearance by traversing 2-column stripes that alternate
-  // vertical direction — yields a visually alternating pattern while remaining
-  // a single contiguous snake covering every cell.
-  const path = [];
-  for (let x = 0; x < cols; x += 2) {
-    const left = x;
-    const right = Math.min(x + 1, cols - 1);
-    const stripe = Math.floor(x / 2);
-    if (stripe % 2 === 0) {
-      for (let y = 0; y < rows; y++) {
-        path.push({ x: left, y });
-        if (right !== left) path.push({ x: right, y });
-      }
-    } else {
-      for (let y = rows - 1; y >= 0; y--) {
-        path.push({ x: left, y });
-        if (right !== left) path.push({ x: right, y });
-      }
-    }
-  }
-  // If something is missing (odd sizes), fill with base snake order
-  const total = cols * rows;
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildCornerSpiralPath(cols, rows) {
-  // Outward spiral starting at a corner (top-left), grows until all cells visited
-  const total = cols * rows;
-  const visited = Array.from({ length: rows }, () => Array(cols).fill(false));
-  const path = [];
-  // start top-left
-  let x = 0, y = 0;
-  visited[y][x] = true; path.push({ x, y });
-  const dirs = [[1,0],[0,1],[-1,0],[0,-1]]; // right, down, left, up
-  let stepLen = 1;
-  let dirIdx = 0;
-  while (path.length < total) {
-    for (let rep = 0; rep < 2 && path.length < total; rep++) {
-      const [dx, dy] = dirs[dirIdx % 4];
-      for (let s = 0; s < stepLen && path.length < total; s++) {
-        const nx = x + dx, ny = y + dy;
-        if (nx < 0 || ny < 0 || nx >= cols || ny >= rows || visited[ny][nx]) {
-          // try to find nearest unvisited neighbor (fallback)
-          let found = false;
-          for (const [fx, fy] of [[1,0],[-1,0],[0,1],[0,-1]]) {
-            const fxn = x + fx, fyn = y + fy;
-            if (fxn >= 0 && fyn >= 0 && fxn < cols && fyn < rows && !visited[fyn][fxn]) {
-              x = fxn; y = fyn; visited[y][x] = true; path.push({ x, y }); found = true; break;
-            }
-          }
-          if (!found) break;
-        } else {
-          x = nx; y = ny; visited[y][x] = true; path.push({ x, y });
-        }
-      }
-      dirIdx++;
-    }
-    stepLen++;
-    // safety: if stuck, fill remaining with base snake order
-    if (path.length < total && path.length === new Set(path.map(p => `${p.x},${p.y}`)).size) break;
-  }
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildSpokesPath(cols, rows) {
-  // 'Radial' spokes implemented as columns starting from center column and alternating
-  // outwards; each column is traversed top-to-bottom or bottom-to-top to keep continuity.
-  const path = [];
-  const total = cols * rows;
-  const cx = Math.floor((cols - 1) / 2);
-  const colsOrder = [];
-  for (let d = 0; d < cols; d++) {
-    const offset = Math.floor((d + 1) / 2) * (d % 2 === 0 ? 0 : 1);
-    // alternate left/right from center: sequence 0, +1, -1, +2, -2, ...
-    let pos;
-    if (d === 0) pos = cx;
-    else if (d % 2 === 1) pos = cx + Math.ceil(d / 2);
-    else pos = cx - Math.ceil(d / 2);
-    if (pos < 0) pos = 0; if (pos >= cols) pos = cols - 1;
-    if (!colsOrder.includes(pos)) colsOrder.push(pos);
-  }
-  for (let i = 0; i < colsOrder.length; i++) {
-    const col = colsOrder[i];
-    if (i % 2 === 0) {
-      for (let y = 0; y < rows; y++) path.push({ x: col, y });
-    } else {
-      for (let y = rows - 1; y >= 0; y--) path.push({ x: col, y });
-    }
-  }
-  // fill any missing cells (in case of duplicates or odd shapes)
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildCheckerboard2x2Path(cols, rows) {
-  // Traverse 2×2 blocks in a checkerboard arrangement.
-  const path = [];
-  for (let by = 0; by < rows; by += 2) {
-    const blockRow = Math.floor(by / 2);
-    const blockCols = [];
-    for (let bx = 0; bx < cols; bx += 2) blockCols.push(bx);
-    if (blockRow % 2 === 1) blockCols.reverse();
-    for (const bx of blockCols) {
-      const xs = [bx, Math.min(bx + 1, cols - 1)];
-      const ys = [by, Math.min(by + 1, rows - 1)];
-      // Within a block, traverse in a serpentine to keep continuity
-      if ((bx / 2 + blockRow) % 2 === 0) {
-        for (let y = ys[0]; y <= ys[1]; y++) {
-          for (let x of xs) path.push({ x, y });
-        }
-      } else {
-        for (let y = ys[1]; y >= ys[0]; y--) {
-          for (let x of xs) path.push({ x, y });
-        }
-      }
-    }
-  }
-  // Fill remainder if needed
-  const total = cols * rows;
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildDiagonalStripesPath(cols, rows) {
-  // Diagonal stripes: process diagonals in groups of two to create stripe bands
-  const path = [];
-  const maxS = cols + rows - 2;
-  for (let s = 0; s <= maxS; s += 2) {
-    const group = [];
-    for (let k = 0; k < 2 && s + k <= maxS; k++) {
-      const ss = s + k;
-      const diag = [];
-      const xStart = Math.max(0, ss - (rows - 1));
-      const xEnd = Math.min(cols - 1, ss);
-      for (let x = xStart; x <= xEnd; x++) {
-        const y = ss - x;
-        diag.push({ x, y });
-      }
-      // alternate direction for each stripe for continuity
-      if ((Math.floor(s / 2) % 2) === 0) diag.reverse();
-      for (const p of diag) group.push(p);
-    }
-    for (const p of group) path.push(p);
-  }
-  // Fill remainder
-  const total = cols * rows;
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildPerimeterFirstPath(cols, rows) {
-  // Visit full perimeter frames outward->inward, stitching between frames.
-  const path = [];
-  const layers = Math.ceil(Math.min(cols, rows) / 2);
-  for (let layer = 0; layer < layers; layer++) {
-    const left = layer, top = layer, right = cols - 1 - layer, bottom = rows - 1 - layer;
-    const ring = [];
-    for (let x = left; x <= right; x++) ring.push({ x, y: top });
-    for (let y = top + 1; y <= bottom; y++) ring.push({ x: right, y });
-    if (bottom > top) for (let x = right - 1; x >= left; x--) ring.push({ x, y: bottom });
-    if (left < right) for (let y = bottom - 1; y > top; y--) ring.push({ x: left, y });
-    if (!ring.length) continue;
-    if (!path.length) { path.push(...ring); }
-    else {
-      // find adjacency and rotate ring to connect
-      const last = path[path.length - 1];
-      let idx = ring.findIndex(p => Math.abs(p.x - last.x) + Math.abs(p.y - last.y) === 1);
-      if (idx === -1) { ring.reverse(); idx = ring.findIndex(p => Math.abs(p.x - last.x) + Math.abs(p.y - last.y) === 1); }
-      if (idx !== -1) {
-        const rotated = ring.slice(idx).concat(ring.slice(0, idx));
-        path.push(...rotated);
-      } else {
-        path.push(...ring);
-      }
-    }
-  }
-  // fill any missing cells
-  const total = cols * rows;
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function bresenhamLine(x0, y0, x1, y1) {
-  const pts = [];
-  let dx = Math.abs(x1 - x0), sx = x0 < x1 ? 1 : -1;
-  let dy = -Math.abs(y1 - y0), sy = y0 < y1 ? 1 : -1;
-  let err = dx + dy;
-  while (true) {
-    pts.push({ x: x0, y: y0 });
-    if (x0 === x1 && y0 === y1) break;
-    const e2 = 2 * err;
-    if (e2 >= dy) { err += dy; x0 += sx; }
-    if (e2 <= dx) { err += dx; y0 += sy; }
-  }
-  return pts;
-}
-
-function buildTrueSpokesPath(cols, rows) {
-  // Create radial spokes from center to edge using Bresenham lines, append new unique cells
-  const cx = (cols - 1) / 2, cy = (rows - 1) / 2;
-  const targets = [];
-  // top edge
-  for (let x = 0; x < cols; x++) targets.push({ x, y: 0 });
-  // right edge
-  for (let y = 1; y < rows; y++) targets.push({ x: cols - 1, y });
-  // bottom edge
-  for (let x = cols - 2; x >= 0; x--) targets.push({ x, y: rows - 1 });
-  // left edge
-  for (let y = rows - 2; y > 0; y--) targets.push({ x: 0, y });
-  const seen = new Set();
-  const path = [];
-  for (const t of targets) {
-    const pts = bresenhamLine(Math.round(cx), Math.round(cy), t.x, t.y);
-    for (const p of pts) {
-      const k = `${p.x},${p.y}`;
-      if (!seen.has(k)) { path.push({ x: p.x, y: p.y }); seen.add(k); }
-    }
-  }
-  // fill missing cells
-  const total = cols * rows;
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildHilbertLikePath(cols, rows) {
-  // Recursive split snake: recursively split the longer dimension into slabs and concatenate
-  function rec(x0, y0, w, h) {
-    if (w === 1) {
-      const out = [];
-      for (let y = y0; y < y0 + h; y++) out.push({ x: x0, y });
-      return out;
-    }
-    if (h === 1) {
-      const out = [];
-      for (let x = x0; x < x0 + w; x++) out.push({ x, y: y0 });
-      return out;
-    }
-    if (w >= h) {
-      const w1 = Math.floor(w / 2), w2 = w - w1;
-      const left = rec(x0, y0, w1, h);
-      const right = rec(x0 + w1, y0, w2, h);
-      // ensure adjacency: if last(left) adjacent to first(right) OK; else reverse right
-      const lastL = left[left.length - 1], firstR = right[0];
-      if (Math.abs(lastL.x - firstR.x) + Math.abs(lastL.y - firstR.y) === 1) return left.concat(right);
-      else return left.concat(right.reverse());
-    } else {
-      const h1 = Math.floor(h / 2), h2 = h - h1;
-      const top = rec(x0, y0, w, h1);
-      const bottom = rec(x0, y0 + h1, w, h2);
-      const lastT = top[top.length - 1], firstB = bottom[0];
-      if (Math.abs(lastT.x - firstB.x) + Math.abs(lastT.y - firstB.y) === 1) return top.concat(bottom);
-      else return top.concat(bottom.reverse());
-    }
-  }
-  const path = rec(0, 0, cols, rows);
-  // fill guarantee
-  const total = cols * rows;
-  if (path.length !== total) {
-    const base = buildSnakePathBase(cols, rows);
-    for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p);
-  }
-  return path;
-}
-
-function buildRandomSnakePath(cols, rows, template = 'auto') {
-  // if template specified, choose it deterministically
-  if (template && template !== 'auto') {
-    let snake = null;
-    if (template === 'dfs') {
-      const dfspath = buildDFSHamiltonian(cols, rows);
-      if (dfspath && dfspath.length === cols * rows) snake = dfspath;
-    } else if (template === 'serpentine') snake = buildSnakePathBase(cols, rows);
-    else if (template === 'spiral') snake = buildSpiralSnakePath(cols, rows);
-    else if (template === 'column') snake = buildColumnSnakePath(cols, rows);
-    else if (template === 'diagonal') snake = buildDiagonalSnakePath(cols, rows);
-    else if (template === 'center') snake = buildCenterSpiralPath(cols, rows);
-    else if (template === 'rings') snake = buildRingsPath(cols, rows);
-    else if (template === 'block') snake = buildBlockSnakePath(cols, rows);
-    else if (template === 'tile') snake = buildTileSnakePath(cols, rows);
-    else if (template === 'checkerboard') snake = buildCheckerboardPath(cols, rows);
-    else if (template === 'spokes') snake = buildSpokesPath(cols, rows);
-    else if (template === 'truespokes') snake = buildTrueSpokesPath(cols, rows);
-    else if (template === 'perimeter') snake = buildPerimeterFirstPath(cols, rows);
-    else if (template === 'diagstripes') snake = buildDiagonalStripesPath(cols, rows);
-    else if (template === 'checker2') snake = buildCheckerboard2x2Path(cols, rows);
-    else if (template === 'hilbert') snake = buildHilbertLikePath(cols, rows);
-    else if (template === 'corner') snake = buildCornerSpiralPath(cols, rows);
-    // fallback
-    if (!snake) snake = buildSnakePathBase(cols, rows);
-    // transforms still apply
-    const rot = Math.floor(Math.random() * 4);
-    snake = snake.map(pt => rotatePoint(pt, rot, cols, rows));
-    if (Math.random() < 0.5) snake = snake.map(pt => ({ x: cols - 1 - pt.x, y: pt.y }));
-    if (Math.random() < 0.5) snake = snake.map(pt => ({ x: pt.x, y: rows - 1 - pt.y }));
-    if (Math.random() < 0.5) snake.reverse();
-    return snake;
-  }
-
-  // Choose template with weights: DFS 24%, serpentine 20%, spiral 14%, column 14%, diagonal 9%, center 9%, rings 6%, block 2%, tile 2%
-  const r = Math.random();
-  let snake = null;
-
-  if (r < 0.24) {
-    const dfspath = buildDFSHamiltonian(cols, rows);
-    if (dfspath && dfspath.length === cols * rows) snake = dfspath;
-  } else if (r < 0.42) {
-    snake = buildSnakePathBase(cols, rows);
-  } else if (r < 0.56) {
-    snake = buildSpiralSnakePath(cols, rows);
-  } else if (r < 0.70) {
-    snake = buildColumnSnakePath(cols, rows);
-  } else if (r < 0.78) {
-    snake = buildDiagonalSnakePath(cols, rows);
-  } else if (r < 0.87) {
-    snake = buildCenterSpiralPath(cols, rows);
-  } else if (r < 0.90) {
-    snake = buildRingsPath(cols, rows);
-  } else if (r < 0.93) {
-    snake = buildCheckerboardPath(cols, rows);
-  } else if (r < 0.95) {
-    snake = buildCheckerboard2x2Path(cols, rows);
-  } else if (r < 0.96) {
-    snake = buildSpokesPath(cols, rows);
-  } else if (r < 0.97) {
-    snake = buildTrueSpokesPath(cols, rows);
-  } else if (r < 0.98) {
-    snake = buildCornerSpiralPath(cols, rows);
-  } else if (r < 0.985) {
-    snake = buildPerimeterFirstPath(cols, rows);
-  } else if (r < 0.99) {
-    snake = buildDiagonalStripesPath(cols, rows);
-  } else if (r < 0.995) {
-    snake = buildHilbertLikePath(cols, rows);
-  } else {
-    snake = buildBlockSnakePath(cols, rows);
-  }
-
-  // fallback
-  if (!snake) snake = buildSnakePathBase(cols, rows);
-
-  // Random rotation, flips, reversal
-  const rot = Math.floor(Math.random() * 4);
-  snake = snake.map(pt => rotatePoint(pt, rot, cols, rows));
-  if (Math.random() < 0.5) snake = snake.map(pt => ({ x: cols - 1 - pt.x, y: pt.y }));
-  if (Math.random() < 0.5) snake = snake.map(pt => ({ x: pt.x, y: rows - 1 - pt.y }));
-  if (Math.random() < 0.5) snake.reverse();
-  return snake;
-}
-
-// ---------- Walls ----------
-function blockedByWall(x0, y0, nx, ny) {
-  const dx = nx - x0, dy = ny - y0;
-  if      (dx === 1 && dy === 0) return walls.has(`${x0},${y0}|right`);
-  else if (dx === -1 && dy === 0) return walls.has(`${nx},${ny}|right`);
-  else if (dx === 0 && dy === 1)  return walls.has(`${x0},${y0}|down`);
-  else if (dx === 0 && dy === -1) return walls.has(`${nx},${ny}|down`);
-  return false;
-}
-function buildShortcutWallsFromSnake(snake, wallPct) {
-  walls.clear();
-  // Add walls only on edges that are NOT consecutive on the snake (block shortcuts)
-  for (let y = 0; y < ROWS; y++) {
-    for (let x = 0; x < COLS; x++) {
-      if (x < COLS - 1) {
-        const a = keyOf(x, y), b = keyOf(x+1, y);
-        const i = snake.findIndex(s => keyOf(s.x, s.y) === a);
-        const j = snake.findIndex(s => keyOf(s.x, s.y) === b);
-        const consecutive = Math.abs(i - j) === 1;
-        if (!consecutive && Math.random() < wallPct) walls.add(`${x},${y}|right`);
-      }
-      if (y < ROWS - 1) {
-        const a = keyOf(x, y), b = keyOf(x, y+1);
-        const i = snake.findIndex(s => keyOf(s.x, s.y) === a);
-        const j = snake.findIndex(s => keyOf(s.x, s.y) === b);
-        const consecutive = Math.abs(i - j) === 1;
-        if (!consecutive && Math.random() < wallPct) walls.add(`${x},${y}|down`);
-      }
-    }
-  }
-}
-
-// ---------- Anchors picking (spacing; no fixed ends) ----------
-function pickIndicesWithMinGap(len, K, minGap) {
-  // Shuffle pool [0..len-1]
-  const pool = Array.from({ length: len }, (_, i) => i);
-  for (let i = pool.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [pool[i], pool[j]] = [pool[j], pool[i]];
-  }
-  const picks = [];
-  for (const idx of pool) {
-    if (picks.length === K) break;
-    if (picks.every(p => Math.abs(p - idx) >= minGap)) picks.push(idx);
-  }
-  // If spacing too strict, fill remaining positions anyway
-  let fill = 0;
-  while (picks.length < K && fill < pool.length) {
-    if (!picks.includes(pool[fill])) picks.push(pool[fill]);
-    fill++;
-  }
-  // Sort so anchors are placed along the path order
-  return picks.sort((a, b) => a - b);
-}
-
-// ---------- Solvability check (Hamiltonian + numbers-in-order) ----------
-function isLayoutSolvable(startX, startY, goalX, goalY, timeBudgetMs = 200) {
-  // DFS search with pruning: numbered anchors must be visited in strict ascending order
-  const total = COLS * ROWS;
-  const dirs = [[0,-1],[1,0],[0,1],[-1,0]];
-
-  function canReachAllFrom(sx, sy, visited) {
-    // BFS on unvisited cells to ensure they are all reachable from (sx,sy)
-    const q = [{ x: sx, y: sy }];
-    const seen = new Set([ keyOf(sx, sy) ]);
-    let count = 0;
-    while (q.length) {
-      const p = q.shift();
-      for (const [dx, dy] of dirs) {
-        const nx = p.x + dx, ny = p.y + dy;
-        if (nx < 0 || ny < 0 || nx >= COLS || ny >= ROWS) continue;
-        if (blockedByWall(p.x, p.y, nx, ny)) continue;
-        const k = keyOf(nx, ny);
-        if (visited.has(k) || seen.has(k)) continue;
-        seen.add(k); q.push({ x: nx, y: ny }); count++;
-      }
-    }
-    const remaining = total - visited.size;
-    // include starting cell in reachable count
-    return (count + 1) >= remaining;
-  }
-
-  const Knum = K();
-
-  const startNum = getCellNumber(startX, startY);
-  if (startNum != null && startNum !== 1) return false; // cannot start on a later-numbered anchor
-
-  let deadline = performance.now() + timeBudgetMs; // allow configurable budget for deeper checks
-  let found = false;
-
-  function dfs(x, y, visitedSet, nextRequired) {
-    if (found) return;
-    if (performance.now() > deadline) return; // give up if taking too long
-
-    // quick connectivity pruning
-    if (!canReachAllFrom(x, y, visitedSet)) return;
-
-    if (visitedSet.size === total) {
-      // full coverage: require we are on the goal and all numbers were collected
-      if (x === goalX && y === goalY && (nextRequired === null)) {
-        found = true; return;
-      }
-      return;
-    }
-
-    // neighbors (prioritize cells that satisfy the next required number)
-    const neigh = [];
-    for (const [dx, dy] of dirs) {
-      const nx = x + dx, ny = y + dy;
-      if (nx < 0 || ny < 0 || nx >= COLS || ny >= ROWS) continue;
-      if (blockedByWall(x, y, nx, ny)) continue;
-      const kk = keyOf(nx, ny);
-      if (visitedSet.has(kk)) continue;
-      neigh.push({ x: nx, y: ny });
-    }
-    neigh.sort((a, b) => {
-      const an = getCellNumber(a.x, a.y), bn = getCellNumber(b.x, b.y);
-      if (an === nextRequired) return -1; if (bn === nextRequired) return 1; return 0;
-    });
-
-    for (const nb of neigh) {
-      if (found) return;
-      const kk = keyOf(nb.x, nb.y);
-      const num = getCellNumber(nb.x, nb.y);
-      // if this cell has a number and it's not the next required, skip
-      if (num != null && num !== nextRequired) continue;
-
-      visitedSet.add(kk);
-      const savedNext = nextRequired;
-      let newNext = nextRequired;
-      if (num != null && num === nextRequired) {
-        newNext = (nextRequired === Knum) ? null : nextRequired + 1;
-      }
-
-      dfs(nb.x, nb.y, visitedSet, newNext);
-      if (found) return;
-      visitedSet.delete(kk);
-      nextRequired = savedNext;
-      if (performance.now() > deadline) return;
-    }
-  }
-
-  const startKey = keyOf(startX, startY);
-  const visited = new Set([ startKey ]);
-  let initialNext = 1;
-  if (startNum === 1) initialNext = (Knum === 1 ? null : 2);
-  dfs(startX, startY, visited, initialNext);
-  // debug: indicate whether we found a solution within time budget
-  if (found) console.debug('isLayoutSolvable: FOUND (budget ' + timeBudgetMs + 'ms)');
-  else console.debug('isLayoutSolvable: NOT FOUND (budget ' + timeBudgetMs + 'ms)');
-  return found;
+function applyTheme(key) {
+  theme = getTheme(key) ?? THEMES[0];
+  const root = document.documentElement.style;
+  for (const [name, value] of Object.entries(theme.css)) root.setProperty(`--${name}`, value);
+  if (themeSel) themeSel.value = theme.key;
+  draw();
 }
 
 // ---------- Drawing ----------
-function drawWalls() {
+function drawWalls(walls) {
   if (!walls.size) return;
   ctx.save();
-  ctx.strokeStyle = "#e8eaed";
+  ctx.strokeStyle = theme.walls;
   ctx.lineWidth = Math.max(3, Math.floor(CELL * 0.12));
   for (const w of walls) {
     const [xy, dir] = w.split("|");
@@ -868,46 +122,86 @@ function drawWalls() {
   }
   ctx.restore();
 }
-function drawNumbers() {
+function drawNumbers(anchors) {
   ctx.save();
-  ctx.fillStyle = "#e8eaed";
+  ctx.fillStyle = theme.numbers;
   ctx.textAlign = "center";
   ctx.textBaseline = "middle";
-  ctx.font = `${Math.max(14, Math.floor(CELL * 0.5))}px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif`;
+  const size = Math.max(largeNumbers ? 20 : 14, Math.floor(CELL * (largeNumbers ? 0.72 : 0.5)));
+  ctx.font = `${largeNumbers ? "bold " : ""}${size}px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif`;
   for (const a of anchors) {
     ctx.save();
     // (Goal background removed by request; we just draw the number)
-    ctx.shadowColor = "rgba(0,0,0,0.6)";
+    ctx.shadowColor = theme.numberShadow;
     ctx.shadowBlur  = Math.max(3, Math.floor(CELL * 0.15));
     ctx.fillText(String(a.n), a.x * CELL + CELL / 2, a.y * CELL + CELL / 2);
     ctx.restore();
   }
   ctx.restore();
 }
+function drawHint(h) {
+  if (!h) return;
+  ctx.save();
+  if (h.status === "retract") {
+    // ring the cell to cut back to
+    ctx.strokeStyle = theme.retract;
+    ctx.lineWidth = Math.max(3, Math.floor(CELL * 0.08));
+    ctx.beginPath(); ctx.arc(h.to.x * CELL + CELL/2, h.to.y * CELL + CELL/2, CELL * 0.42, 0, Math.PI*2); ctx.stroke();
+  }
+  // next stretch of a solution, first cell strongest
+  h.path.forEach((p, i) => {
+    ctx.fillStyle = (i === 0) ? theme.hint : theme.hintSoft;
+    ctx.fillRect(p.x * CELL + 4, p.y * CELL + 4, CELL - 8, CELL - 8);
+  });
+  ctx.restore();
+}
+// Assist: shade cut-off cells and dead-end pockets, ring unreachable numbers
+function drawDeadEnds(issues) {
+  if (!issues.length) return;
+  ctx.save();
+  ctx.fillStyle = theme.deadEndFill;
+  ctx.strokeStyle = theme.deadEnd;
+  ctx.lineWidth = Math.max(3, Math.floor(CELL * 0.08));
+  for (const d of issues) {
+    for (const p of d.cells ?? []) ctx.fillRect(p.x * CELL + 2, p.y * CELL + 2, CELL - 4, CELL - 4);
+    if (d.cell) { ctx.beginPath(); ctx.arc(d.cell.x * CELL + CELL/2, d.cell.y * CELL + CELL/2, CELL * 0.42, 0, Math.PI*2); ctx.stroke(); }
+  }
+  ctx.restore();
+}
+function drawGridLines() {
+  ctx.strokeStyle = theme.grid; ctx.lineWidth = 2;
+  for (let y = 0; y <= ROWS; y++) { ctx.beginPath(); ctx.moveTo(0, y * CELL); ctx.lineTo(COLS * CELL, y * CELL); ctx.stroke(); }
+  for (let x = 0; x <= COLS; x++) { ctx.beginPath(); ctx.moveTo(x * CELL, 0); ctx.lineTo(x * CELL, ROWS * CELL); ctx.stroke(); }
+}
 function draw() {
-  if (!grid) return;
+  if (editing) { drawEditor(); return; }
+  if (!game) return;
+  const { anchors, walls } = game.layout;
+  const { trail, player } = game;
   ctx.clearRect(0, 0, canvas.width, canvas.height);
 
   // base grid
-  ctx.strokeStyle = "#808995"; ctx.lineWidth = 2;
-  for (let y = 0; y <= ROWS; y++) { ctx.beginPath(); ctx.moveTo(0, y * CELL); ctx.lineTo(COLS * CELL, y * CELL); ctx.stroke(); }
-  for (let x = 0; x <= COLS; x++) { ctx.beginPath(); ctx.moveTo(x * CELL, 0); ctx.lineTo(x * CELL, ROWS * CELL); ctx.stroke(); }
+  drawGridLines();
 
   // walls (level modes only)
-  drawWalls();
+  drawWalls(walls);
 
   // (Goal background removed)
 
+  // assist warnings + hint highlight (under the numbers)
+  drawDeadEnds(game.deadEnds);
+  drawHint(hint);
+
   // numbers
-  drawNumbers();
+  drawNumbers(anchors);
 
   // trail (continuous line)
   if (trail.length) {
     ctx.save();
-    ctx.strokeStyle = "#00bcd4";
+    ctx.strokeStyle = theme.trail;
     ctx.lineWidth = Math.max(4, Math.floor(CELL * 0.18));
     ctx.lineJoin = "round"; ctx.lineCap = "round";
-    ctx.shadowColor = "rgba(0, 188, 212, 0.45)";
+    ctx.shadowColor = theme.trailGlow;
     ctx.shadowBlur  = Math.max(8, Math.floor(CELL * 0.35));
     ctx.beginPath();
     const p0 = trail[0]; ctx.moveTo(p0.x * CELL + CELL/2, p0.y * CELL + CELL/2);
@@ -918,7 +212,7 @@ function draw() {
 
   // player dot (glow)
   ctx.save();
-  ctx.fillStyle = "#e74c3c"; ctx.shadowColor = "rgba(231,76,60,0.6)";
+  ctx.fillStyle = theme.player; ctx.shadowColor = theme.playerGlow;
   ctx.shadowBlur = Math.max(12, Math.floor(CELL * 0.5));
   ctx.beginPath(); ctx.arc(player.x * CELL + CELL/2, player.y * CELL + CELL/2, Math.max(8, CELL/3), 0, Math.PI*2); ctx.fill();
   ctx.restore();
@@ -927,217 +221,599 @@ function draw() {
 // ---------- Layout helpers ----------
 function buildGrid(cols, rows) {
   COLS = cols; ROWS = rows;
-  CELL = Math.floor(canvas.width / COLS);
-  grid = Array.from({ length: ROWS }, (_, y) => Array.from({ length: COLS }, (_, x) => ({ x, y })));
-}
-
-// Zip generator: randomized snake + rotated labels (moves where 12 lands)
-async function generateZip6x6() {
-  // Attempt generation until we find a layout that passes the solver (rare failures possible)
-  const MAX_ATTEMPTS = 50;
-  let attempt = 0;
-  let solvable = false;
-
-  while (attempt < MAX_ATTEMPTS && !solvable) {
-    attempt++;
-    buildGrid(6, 6);
-
-    const snake = buildRandomSnakePath(6, 6, document.getElementById('templateSelect')?.value ?? 'auto');
-    anchors = []; anchorsMap.clear(); walls.clear();
-
-    const Knum = 12;
-    const idxs = pickIndicesWithMinGap(snake.length, Knum, 2);
-    const shift = Math.floor(Math.random() * Knum); // rotate labels so "1" starts at a random anchor
-
-    for (let j = 0; j < Knum; j++) {
-      const idx = idxs[j];
-      const num = ((j - shift + Knum) % Knum) + 1; // cyclic rotation: 1..K along path
-      const { x, y } = snake[idx];
-      anchors.push({ x, y, n: num });
-      anchorsMap.set(`${x},${y}`, num);
-    }
+  sizeCanvas();
+}
 
-    const startA = anchors.find(a => a.n === 1);
-    const finalA = anchors.find(a => a.n === Knum);
-
-    player = { x: startA.x, y: startA.y };
-    goal   = { x: finalA.x, y: finalA.y };
-    trail  = [{ x: player.x, y: player.y }];
-    visitedCells = new Set([ `${player.x},${player.y}` ]);
-
-    gameOver = false; hasStarted = false; elapsed = 0; startTime = null;
-
-    // Let UI update
-    tell(`Searching for solvable layout (attempt ${attempt}/${MAX_ATTEMPTS})...`);
-    await new Promise(r => setTimeout(r, 0));
-
-    // Validate solvability (fast check with pruning). If not solvable, retry.
-    solvable = isLayoutSolvable(player.x, player.y, goal.x, goal.y, 400);
-    if (solvable) {
-      // perform a stricter confirmation check (longer budget) to reduce false positives
-      const confirmed = isLayoutSolvable(player.x, player.y, goal.x, goal.y, 2000);
-      if (!confirmed) {
-        solvable = false;
-        console.warn(`Solvability quick-check passed but confirmation failed (attempt ${attempt}). Retrying...`);
-        tell(`Generated zip layout uncertainly solvable (attempt ${attempt}). Retrying...`);
-        await new Promise(r => setTimeout(r, 0));
-      }
-    } else {
-      tell(`Generated zip layout not solvable (attempt ${attempt}). Retrying...`);
-      await new Promise(r => setTimeout(r, 0));
-    }
+// Start a fresh game on a savedLayout-shaped object and reset the timer
+// (`resumed`: a game already replayed onto it, see Saved game).
+function loadLayout(saved, resumed = null) {
+  closeEditor();
+  buildGrid(saved.cols, saved.rows);
+  if (resumeBtn) resumeBtn.hidden = true;
+  if (!resumed) { clearSavedGame(); statsGameId = null; }
+  game = resumed ?? createGame(saved, { assist: assistToggle?.checked ?? false });
+  hint = null; lastDeadEndKinds = "";
+  game.on("step", onStep);
+  game.on("win", onWin);
+  stopTimer();
+  hasStarted = false; elapsed = 0; startTime = null;
+  announce(`${saved.cols} by ${saved.rows} board. ${describePosition(game)} Press R to hear the whole board.`);
+}
+
+// ---------- Generator worker ----------
+// One job at a time: starting a new job (New pressed again, mode switched)
+// terminates the worker mid-search and resolves the old job as cancelled.
+let genWorker = null;
+let genJob = null;                 // { id, msg, resolve, onProgress }
+let genJobSeq = 0;
+let workerUnavailable = typeof Worker === "undefined";
+
+function cancelGeneratorJob() {
+  if (!genJob) return;
+  genWorker?.terminate(); genWorker = null;
+  genJob.resolve({ cancelled: true }); genJob = null;
+}
+function runOnMainThread(job) {
+  // Fallback: blocks the UI, but still yields once so the status line can paint
+  setTimeout(() => {
+    if (genJob !== job) return;
+    genJob = null;
+    try { job.resolve(runJob(job.msg, job.onProgress)); }
+    catch (err) { console.error(err); job.resolve({ error: String(err) }); }
+  }, 0);
+}
+function ensureWorker() {
+  if (genWorker || workerUnavailable) return genWorker;
+  try { genWorker = new Worker(new URL("./worker.js", import.meta.url), { type: "module" }); }
+  catch (err) { workerUnavailable = true; return null; }
+  genWorker.onmessage = (e) => {
+    const { id, type, ...data } = e.data;
+    if (!genJob || id !== genJob.id) return; // stale message from a cancelled job
+    if (type === "progress") { genJob.onProgress(data); return; }
+    const job = genJob; genJob = null;
+    job.resolve(type === "error" ? { error: data.message } : data);
+  };
+  genWorker.onerror = (e) => {
+    // Module workers unsupported (or the script failed to load): use the main thread from now on
+    console.warn("Generator worker failed; falling back to main thread.", e.message ?? e);
+    e.preventDefault?.();
+    workerUnavailable = true;
+    genWorker?.terminate(); genWorker = null;
+    if (genJob) runOnMainThread(genJob);
+  };
+  return genWorker;
+}
+// Resolves with the job result, or { cancelled: true } if superseded.
+function runGeneratorJob(msg, onProgress = () => {}) {
+  cancelGeneratorJob();
+  return new Promise((resolve) => {
+    const job = genJob = { id: ++genJobSeq, msg, resolve, onProgress };
+    const w = ensureWorker();
+    if (w) w.postMessage({ id: job.id, ...msg });
+    else runOnMainThread(job);
+  });
+}
+
+// ---------- Server-side generation ----------
+// When served by server.js, fetch pre-verified boards (GET api/puzzle, api/daily)
+// instead of searching on a slow TV box. On static hosting (GitHub Pages)
+// api/puzzle answers 404, which switches this off for the session; any other
+// failure (timeout, network error, 503) falls back to the worker for that board only.
+const SERVER_TIMEOUT_MS = 8000;
+let serverPuzzles = location.protocol.startsWith("http");
+let serverAbort = null;            // AbortController of the request in flight
+
+async function fetchServerLayout(def, opts) {
+  if (!serverPuzzles) return null;
+  serverAbort?.abort();
+  const ctrl = serverAbort = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), SERVER_TIMEOUT_MS);
+  const url = (def.kind === "daily")
+    ? `api/daily?date=${opts.date}`
+    : `api/puzzle?${new URLSearchParams({ mode: def.key, seed: opts.seed, template: opts.template, unique: opts.unique ? "1" : "0" })}`;
+  try {
+    const r = await fetch(url, { signal: ctrl.signal });
+    if (r.status === 404 && def.kind !== "daily") serverPuzzles = false; // no API here
+    if (!r.ok) return null;
+    return { layout: await r.json() };
+  } catch {
+    return null;                   // timeout, abort or network blip: try the server again next board
+  } finally {
+    clearTimeout(timer);
+    if (serverAbort === ctrl) serverAbort = null;
   }
+}
 
-  if (!solvable) {
-    tell(`Couldn't generate a solvable Zip layout after ${MAX_ATTEMPTS} attempts. Try again.`);
-  } else {
-    // success
-    currentTargetMs = 60_000; updateTimeTargetDisplay(0);
-    savedLayout = { mode: "zip", cols: COLS, rows: ROWS, playerStart: { ...player }, goalPos: { ...goal }, anchors: anchors.map(a => ({ ...a })), walls: Array.from(walls), template: document.getElementById('templateSelect')?.value ?? 'auto' };
-    tell("New Zip layout — solvable.");
-    draw();
+// Drop whatever generation is in flight (server request or worker job).
+let genTicket = 0;
+function abandonGeneration() {
+  genTicket++;
+  serverAbort?.abort();
+  cancelGeneratorJob();
+  generating = false;
+}
+
+function generationProgressText(what, { attempt, maxAttempts, stage, detail }) {
+  switch (stage) {
+    case "bad-path":   return `Template built a broken path (${detail}, attempt ${attempt}). Retrying...`;
+    case "unsolvable": return `Generated ${what} layout not solvable (attempt ${attempt}). Retrying...`;
+    case "uncertain":  return `Generated ${what} layout too hard to check (attempt ${attempt}). Retrying...`;
+    case "not-unique": return `Couldn't prove a unique ${what} solution (attempt ${attempt}). Retrying...`;
+    case "too-easy":   return `Generated ${what} layout too easy (attempt ${attempt}). Retrying...`;
+    case "too-hard":   return `Generated ${what} layout too hard (attempt ${attempt}). Retrying...`;
+    default:           return `Searching for solvable ${what} layout (attempt ${attempt}/${maxAttempts})...`;
   }
 }
 
+// The mode to generate: MODES entry `key` scaled to #sizeSelect (daily stays 6×6)
+function currentModeDef(key = lastModeKey) {
+  const def = MODES.find(m => m.key === key);
+  if (!def) return null;
+  const [cols, rows] = (sizeSel?.value ?? "6x6").split("x").map(Number);
+  return sizedMode(def, cols, rows);
+}
+
+// Zip generator: randomized snake + rotated labels (moves where the last number lands)
+// opts.seed reproduces a layout (random seed if omitted); opts.template overrides #templateSelect;
+// opts.unique adds anchors until the board has exactly one solution (default: #uniqueToggle).
+async function generateZip(opts = {}) {
+  return generateLevel(currentModeDef(MODES.find(m => m.kind === "zip").key), opts);
+}
+
 // Level generator: randomized snake + rotated labels + optional shortcut walls
-async function generateLevel(def) {
-  // Attempt generation until we find a layout that passes the solver
-  const MAX_ATTEMPTS = 50;
-  let attempt = 0;
-  let solvable = false;
-
-  while (attempt < MAX_ATTEMPTS && !solvable) {
-    attempt++;
-    buildGrid(def.cols, def.rows);
-
-    const snake = buildRandomSnakePath(def.cols, def.rows, document.getElementById('templateSelect')?.value ?? 'auto');
-    anchors = []; anchorsMap.clear(); walls.clear();
-
-    const Knum = def.K;
-    const idxs = pickIndicesWithMinGap(snake.length, Knum, def.minGap);
-    const shift = Math.floor(Math.random() * Knum);
-
-    for (let j = 0; j < Knum; j++) {
-      const idx = idxs[j];
-      const num = ((j - shift + Knum) % Knum) + 1;
-      const { x, y } = snake[idx];
-      anchors.push({ x, y, n: num });
-      anchorsMap.set(`${x},${y}`, num);
-    }
+// opts as for generateZip; uniqueness is enforced with walls when the level uses walls.
+// Resolves true once the new layout is on the board; false if it failed or was cancelled.
+async function generateLevel(def, opts = {}) {
+  const what = def.kind === "zip" && def.base == null ? "zip" : def.label;
+  const genOpts = generationOptions(def, {
+    seed: opts.seed,
+    date: opts.date,
+    template: opts.template ?? document.getElementById('templateSelect')?.value ?? 'auto',
+    unique: opts.unique ?? document.getElementById('uniqueToggle')?.checked ?? false
+  });
 
-    buildShortcutWallsFromSnake(snake, def.wallPct);
-
-    const startA = anchors.find(a => a.n === 1);
-    const finalA = anchors.find(a => a.n === Knum);
-
-    player = { x: startA.x, y: startA.y };
-    goal   = { x: finalA.x, y: finalA.y };
-    trail  = [{ x: player.x, y: player.y }];
-    visitedCells = new Set([ `${player.x},${player.y}` ]);
-
-    gameOver = false; hasStarted = false; elapsed = 0; startTime = null;
-
-    // Allow UI to update
-    tell(`Searching for solvable ${def.label} layout (attempt ${attempt}/${MAX_ATTEMPTS})...`);
-    await new Promise(r => setTimeout(r, 0));
-
-    // Quick + confirmation checks
-    solvable = isLayoutSolvable(player.x, player.y, goal.x, goal.y, 400);
-    if (solvable) {
-      const confirmed = isLayoutSolvable(player.x, player.y, goal.x, goal.y, 2000);
-      if (!confirmed) {
-        solvable = false;
-        console.warn(`Level solvability confirmation failed (attempt ${attempt}). Retrying...`);
-        tell(`Generated ${def.label} layout uncertainly solvable (attempt ${attempt}). Retrying...`);
-        await new Promise(r => setTimeout(r, 0));
-      }
-    } else {
-      tell(`Generated ${def.label} layout not solvable (attempt ${attempt}). Retrying...`);
-      await new Promise(r => setTimeout(r, 0));
-    }
+  abandonGeneration();
+  const ticket = genTicket;
+  generating = true;
+  let res = await fetchServerLayout(def, genOpts);
+  if (ticket !== genTicket) return false; // a newer request owns the board now
+  res ??= await runGeneratorJob({ type: "generate", def, opts: genOpts }, (p) => tell(generationProgressText(what, p)));
+  if (res.cancelled || ticket !== genTicket) return false;
+  generating = false;
+
+  if (!res.layout) {
+    tell(res.error ? `Generator error: ${res.error}` : `Couldn't generate a solvable ${what} layout. Try again.`);
+    return false;
   }
+  // success
+  currentTargetMs = def.targetMs ?? 60_000;
+  savedLayout = res.layout;
+  loadLayout(savedLayout);
+  clearShareHash();
+  const tier = savedLayout.difficulty?.tier, wanted = genOpts.difficulty;
+  const offTier = wanted && tier && tier !== wanted ? ` (no ${DIFFICULTY_TIERS.find(t => t.key === wanted)?.label ?? wanted} board turned up in time; this is the closest)` : "";
+  tell(`New ${def.kind === "zip" && def.base == null ? "Zip" : def.label} layout — ${genOpts.unique ? "unique solution" : "solvable"}${difficultyText(savedLayout.difficulty)}${offTier}.`);
+  updateTimeTargetDisplay(0);
+  draw();
+  return true;
+}
 
-  if (!solvable) {
-    tell(`Couldn't generate a solvable ${def.label} layout after ${MAX_ATTEMPTS} attempts. Try again.`);
-  } else {
-    // success
-    currentTargetMs = def.targetMs ?? 60_000;
-    savedLayout = { mode: def.key ?? "level", cols: COLS, rows: ROWS, playerStart: { ...player }, goalPos: { ...goal }, anchors: anchors.map(a => ({ ...a })), walls: Array.from(walls), template: document.getElementById('templateSelect')?.value ?? 'auto' };
-    tell(`New ${def.label} layout — solvable.`);
-    updateTimeTargetDisplay(0);
-    draw();
+// Daily: generationOptions pins the seed to the UTC date, the weighted template
+// mix and a unique solution, so everyone gets the same board regardless of their HUD choices.
+// `date` (a Date) picks a past day's board (Daily archive); today's by default.
+async function generateDaily(def, date) {
+  return generateLevel(def, { date });
+}
+
+// Point the level, size and template pickers at the mode a loaded board came
+// from. Returns its mode def, or null for hand-made boards.
+function syncHudToLayout(saved) {
+  const def = getMode(saved.mode);
+  if (!def) return null;
+  lastModeKey = def.base ?? def.key;
+  if (levelSel) levelSel.value = lastModeKey;
+  selectSize(def.cols, def.rows);
+  syncSizeSelect();
+  populateTemplates();
+  const tplSel = document.getElementById('templateSelect');
+  if (tplSel && getTemplate(saved.template)?.fits(def.cols, def.rows)) tplSel.value = saved.template;
+  return def;
+}
+
+// ---------- Saved game (resume after a reload; see engine/savegame.js) ----------
+// Saved after every action and when the page is hidden (TV apps get suspended
+// rather than closed); dropped on a win or when another board is loaded.
+const SAVE_KEY = "connex.save";
+const resumeBtn = document.getElementById("resume");
+let pendingResume = null;          // the save offered by the Resume button
+
+function saveGame() {
+  if (!game || !savedLayout || game.won) return;
+  const elapsedMs = timerId ? performance.now() - startTime : elapsed;
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(encodeSave({ mode: lastModeKey, layout: savedLayout, game, elapsedMs, statsId: statsGameId })));
+  } catch (err) {
+    console.warn("Game not saved:", err.message);
   }
 }
+function clearSavedGame() { localStorage.removeItem(SAVE_KEY); }
+function loadSavedGame() {
+  try { return decodeSave(JSON.parse(localStorage.getItem(SAVE_KEY))); }
+  catch { return null; }
+}
 
-// ---------- Movement (free; allow backdraw ONLY 1 step; block other revisits) ----------
-function isImmediateBack(nx, ny) {
-  if (trail.length < 2) return false;
-  const prev = trail[trail.length - 2];
-  return prev.x === nx && prev.y === ny;
+// Startup with a save: show Resume instead of generating straight away
+function offerResume(save) {
+  if (!resumeBtn) return false;
+  const def = getMode(save.layout.mode);
+  pendingResume = save;
+  resumeBtn.hidden = false;
+  resumeBtn.focus();
+  tell(`Unfinished ${def ? def.label : `custom ${save.layout.cols}×${save.layout.rows}`} board (${formatTime(save.elapsedMs)}) — Resume, or New for a fresh one.`);
+  return true;
 }
-function move(dir) {
-  if (gameOver) return;
-
-  const x0 = player.x, y0 = player.y;
-  let nx = x0, ny = y0;
-  if (dir === "up")    ny--;
-  if (dir === "right") nx++;
-  if (dir === "down")  ny++;
-  if (dir === "left")  nx--;
-
-  // bounds + walls
-  if (nx < 0 || ny < 0 || nx >= COLS || ny >= ROWS) return;
-  if (blockedByWall(x0, y0, nx, ny)) { tell("Blocked by wall."); return; }
-
-  // If target already in trail:
-  const idx = trail.findIndex(p => p.x === nx && p.y === ny);
-  if (idx !== -1) {
-    // Allow ONLY immediate previous cell backdraw
-    if (isImmediateBack(nx, ny)) {
-      // Pop last segment and move player to previous cell (trail already ends there)
-      trail.pop();
-      player.x = nx; player.y = ny;
-      // Keep visitedCells as-is (coverage credit remains)
-      draw(); updateTimeTargetDisplay(elapsed);
-      tell("Step back: removed last segment.");
-      return;
-    } else {
-      tell("Cell already walked. You can only step back 1 cell.");
-      return;
-    }
+async function resumeSavedGame(save) {
+  pendingResume = null;
+  abandonGeneration();
+  const resumed = resumeGame(save, { assist: assistToggle?.checked ?? false });
+  if (!resumed) {
+    clearSavedGame();
+    if (resumeBtn) resumeBtn.hidden = true;
+    tell("The saved game couldn't be restored.");
+    if (await generateZip()) tell("The saved game couldn't be restored. Here's a new Zip board.");
+    return;
   }
+  const def = syncHudToLayout(save.layout);
+  if (!def && MODES.some(m => m.key === save.mode)) lastModeKey = save.mode;
+  currentTargetMs = def?.targetMs ?? 60_000;
+  savedLayout = save.layout;
+  loadLayout(savedLayout, resumed);
+  elapsed = save.elapsedMs;
+  statsGameId = save.statsId;
+  updateTimeTargetDisplay(elapsed);
+  draw();
+  tell(`Resumed at ${formatTime(elapsed)}${difficultyText(savedLayout.difficulty)} — the clock restarts with your next move.`);
+}
+resumeBtn?.addEventListener("click", () => { if (pendingResume) resumeSavedGame(pendingResume); });
+document.addEventListener("visibilitychange", () => { if (document.visibilityState === "hidden") saveGame(); });
+window.addEventListener("pagehide", saveGame);
+
+// ---------- Share links (#p=<code>, see engine/share.js) ----------
+function sharedCodeFromHash() { return new URLSearchParams(location.hash.slice(1)).get("p"); }
+function shareUrl(saved) { return `${location.href.split("#")[0]}#p=${encodePuzzle(saved)}`; }
+// Is `code` this board's share code? Share leaves #p= in the address bar, so a
+// reload mid-game arrives with the code of the board that is saved.
+function isShareCodeFor(code, layout) {
+  try { return encodePuzzle(decodePuzzle(code)) === encodePuzzle(layout); }
+  catch { return false; }
+}
+// A fresh board replaces the shared one, so a reload shouldn't bring the link back
+function clearShareHash() {
+  if (sharedCodeFromHash()) history.replaceState(null, "", location.href.split("#")[0]);
+}
 
-  // Start timer on first movement
-  if (!hasStarted && (nx !== x0 || ny !== y0)) startTimer();
+// Decode, check with the solver (in the worker), then open a shared board.
+// Resolves true when loaded, false if the code was rejected, null if superseded.
+async function openSharedPuzzle(code) {
+  let saved;
+  try { saved = decodePuzzle(code); }
+  catch (err) { tell(`${err.message}.`); return false; }
+
+  abandonGeneration();
+  const ticket = genTicket;
+  generating = true;
+  tell("Checking shared board...");
+  const res = await runGeneratorJob({ type: "verify", layout: saved, timeBudgetMs: 2000 });
+  if (res.cancelled || ticket !== genTicket) return null;
+  generating = false;
+  if (!res.ok) { tell("Shared board couldn't be verified as solvable."); return false; }
+  saved.difficulty = res.difficulty;
+
+  const def = syncHudToLayout(saved);
+  currentTargetMs = def?.targetMs ?? 60_000;
+  savedLayout = saved;
+  loadLayout(savedLayout);
+  tell(`Shared ${def ? def.label : `custom ${saved.cols}×${saved.rows}`} board${difficultyText(saved.difficulty)} — good luck!`);
+  updateTimeTargetDisplay(0);
+  draw();
+  return true;
+}
+window.addEventListener("hashchange", () => {
+  const code = sharedCodeFromHash();
+  if (code) openSharedPuzzle(code);
+});
 
-  // Forward move — append to trail
-  player.x = nx; player.y = ny;
-  trail.push({ x: player.x, y: player.y });
+// ---------- Movement (rules in engine/game.js; here only feedback) ----------
+function move(dir) {
+  if (!game || generating || editing) return null;
+  const res = game.move(dir);
+  if (res.kind === "wall") tell("Blocked by wall.");
+  else if (res.kind === "revisit") tell("Cell already walked. Step back 1 cell, or tap it / press Backspace to cut the path.");
+  else if (res.kind === "back") tell("Step back: removed last segment.");
+  else if (res.kind === "outside") announce("Edge of the board.");
+  return res;
+}
+// Cut the trail back to one of its earlier cells (tap/drag onto it, rewind key)
+function truncateTo(cell) {
+  if (!game || generating || editing) return null;
+  const res = game.truncateTo(cell.x, cell.y);
+  if (res.ok) {
+    const n = game.getCellNumber(cell.x, cell.y);
+    tell(n != null ? `Cut path back to ${n}.` : "Cut path back.");
+  }
+  return res;
+}
+// Rewind to the last number walked before the current cell, or to the ringed
+// cell while a retract hint is showing
+function rewindToLastNumber() {
+  if (!game || generating || editing) return;
+  if (hint?.status === "retract") { truncateTo(hint.to); return; }
+  const { trail } = game;
+  for (let i = trail.length - 2; i >= 0; i--) {
+    if (game.getCellNumber(trail[i].x, trail[i].y) != null) { truncateTo(trail[i]); return; }
+  }
+}
+// Undo/redo every applied action (steps, backdraws, cuts); see game.history
+function undo() {
+  if (!game || generating || editing) return;
+  const res = game.undo();
+  tell(res.ok ? "Undo." : res.kind === "over" ? "Puzzle solved — Restart to play again." : "Nothing to undo.");
+}
+function redo() {
+  if (!game || generating || editing) return;
+  const res = game.redo();
+  tell(res.ok ? "Redo." : res.kind === "over" ? "Puzzle solved — Restart to play again." : "Nothing to redo.");
+}
+function onStep(res) {
+  // Start timer (and log the game in the stats) on first forward movement
+  if (res.kind === "forward") {
+    if (statsGameId == null) logGameStart();
+    startTimer();
+  }
+  hint = null;
+  saveGame();
+  announce(describePosition(game));
+  reportDeadEnds();
+  draw(); updateTimeTargetDisplay(elapsed);
+}
 
-  // Track distinct coverage
-  visitedCells.add(`${player.x},${player.y}`);
+// ---------- Assist (live dead-end checks; optional, see engine/deadends.js) ----------
+const assistToggle = document.getElementById("assistToggle");
+const DEAD_END_TEXT = {
+  order:  (d) => `${d.n} was walked out of order.`,
+  goal:   () => "The last number is cut off.",
+  split:  () => "Part of the board is cut off.",
+  pocket: () => "A dead-end pocket can't be filled.",
+  number: (d) => `${d.n} can't be reached from here.`
+};
+let lastDeadEndKinds = "";
+// Announce only when the set of problems changes, so ordinary messages aren't drowned out
+function reportDeadEnds() {
+  const issues = game?.deadEnds ?? [];
+  const kinds = issues.map(d => d.kind).join();
+  if (kinds === lastDeadEndKinds) return;
+  lastDeadEndKinds = kinds;
+  if (issues.length) tell(`Dead end: ${DEAD_END_TEXT[issues[0].kind](issues[0])} Step back or undo.`);
+}
+if (assistToggle) {
+  assistToggle.checked = localStorage.getItem("connex.assist") === "1";
+  assistToggle.addEventListener("change", () => {
+    localStorage.setItem("connex.assist", assistToggle.checked ? "1" : "0");
+    game?.setAssist(assistToggle.checked);
+    lastDeadEndKinds = "";
+    reportDeadEnds();
+    tell(assistToggle.checked ? "Assist on: dead ends are marked on the board." : "Assist off.");
+    draw();
+  });
+}
+function onWin({ hints }) {
+  stopTimer();
+  clearSavedGame();
+  const star = (elapsed <= currentTargetMs && !hints) ? " ⭐" : "";
+  const used = hints ? ` — ${hints} hint${hints === 1 ? "" : "s"}` : "";
+  const msg = `You win! ${formatTime(elapsed)} (Target: ${formatTime(currentTargetMs)})${star}${used}`;
+  tell(msg);
+  logGameWin({ ms: elapsed, star: !!star, backsteps: (game.state.moves.length - (COLS * ROWS - 1)) / 2, hints });
+  const wonGame = game;
+  submitScore(game.state.moves, elapsed, hints).then((r) => {
+    if (r && game === wonGame) tell(`${msg} — #${r.rank} of ${r.total} on the leaderboard`);
+  });
+}
 
-  draw(); updateTimeTargetDisplay(elapsed);
+// ---------- Hints ----------
+// The solver continues from the current trail (engine/hints.js, run as a worker
+// job): it highlights the next cells, or rings the cell to cut back to when the
+// trail can no longer be finished. Each hint shown is recorded with the result.
+async function showHint() {
+  if (!game || generating || editing) return;
+  if (game.won) { tell("Already solved — press New for another board."); return; }
+  const asked = game, stepsAtAsk = game.state.moves.length;
+  tell("Looking for a hint...");
+  const res = await runGeneratorJob({ type: "hint", puzzle: game.puzzle, trail: game.trail });
+  if (res.cancelled || game !== asked || game.state.moves.length !== stepsAtAsk) return; // board moved on meanwhile
+  if (!res.hint) { tell(res.error ? `Hint error: ${res.error}` : "No hint available."); return; }
+  if (res.hint.status === "unknown") { tell("Couldn't work out a hint in time. Try again after a few moves."); return; }
+  hint = res.hint;
+  game.recordHint(hint.status);
+  saveGame();
+  if (hint.status === "next") tell("Hint: follow the highlighted cells.");
+  else tell(`Dead end — cut back ${hint.cut} cell${hint.cut === 1 ? "" : "s"} to the ringed cell (tap it or press Backspace).`);
+  draw();
+}
 
-  // ----- Win condition -----
-  // A) full coverage: REQUIRE the current trail to include EVERY cell (no lingering visited credit)
-  const walkedAll = trail.length === COLS * ROWS;
+// ---------- Leaderboard ----------
+// On a server-backed page, wins go to api/scores; the server replays the moves
+// against the same board before ranking the time.
+const nameInput = document.getElementById("playerName");
+if (nameInput) {
+  nameInput.value = localStorage.getItem("connex.playerName") ?? "";
+  nameInput.addEventListener("change", () => localStorage.setItem("connex.playerName", nameInput.value.trim()));
+}
+async function submitScore(moves, elapsedMs, hints = 0) {
+  if (!serverPuzzles || !savedLayout?.seed) return null;
+  try {
+    const r = await fetch("api/scores", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ puzzle: puzzleId(savedLayout), moves, elapsedMs: Math.round(elapsedMs), hints, name: nameInput?.value.trim() || "Anonymous" })
+    });
+    if (!r.ok) { console.warn("Score not recorded:", (await r.json().catch(() => ({}))).error ?? r.status); return null; }
+    return await r.json();
+  } catch (err) {
+    return null;
+  }
+}
 
-  // B) numbers first-visit order is 1..K (derived from the current trail)
-  const order = numbersFirstOrder();
-  const must  = Array.from({ length: K() }, (_, i) => i + 1);
-  const visitedInOrder = (order.length === K() && order.every((n, i) => n === must[i]));
+// ---------- Stats (engine/stats.js) ----------
+// A local log of every game started and won, per mode and template; the Stats
+// panel summarizes it. A game counts as started on its first move.
+const STATS_KEY = "connex.stats";
+const statsBtn   = document.getElementById("stats");
+const statsPanel = document.getElementById("statsPanel");
+const statsTable = document.getElementById("statsTable");
+const statsJsonEl = document.getElementById("statsJson");
+let stats = loadStats();
+let statsGameId = null;            // this board's entry in the log, once it has one
+let resetArmed = false;            // Reset needs a second press
+
+function loadStats() {
+  try { return decodeStats(JSON.parse(localStorage.getItem(STATS_KEY))); }
+  catch { return emptyStats(); }
+}
+function storeStats() {
+  try { localStorage.setItem(STATS_KEY, JSON.stringify(stats)); }
+  catch (err) { console.warn("Stats not saved:", err.message); }
+  if (statsPanel && !statsPanel.hidden) renderStats();
+  if (archivePanel && !archivePanel.hidden) renderArchive();
+}
+function logGameStart() {
+  const day = savedLayout?.mode === "daily" ? String(savedLayout.seed).replace(/^daily-/, "") : null;
+  statsGameId = startGame(stats, { mode: savedLayout?.mode ?? "custom", template: savedLayout?.template, day });
+  storeStats();
+}
+function logGameWin(result) {
+  if (statsGameId != null && finishGame(stats, statsGameId, result)) storeStats();
+}
 
-  // C) standing on the last number's cell
-  const finalA = anchors.find(a => a.n === K());
-  const atGoal = player.x === finalA.x && player.y === finalA.y;
+function renderStats() {
+  if (!statsTable) return;
+  const rows = summarizeStats(stats, { openId: game?.state.won ? null : statsGameId });
+  const cell = (tag, text) => { const el = document.createElement(tag); el.textContent = text; return el; };
+  const line = (tag, values) => { const tr = document.createElement("tr"); tr.append(...values.map(v => cell(tag, v))); return tr; };
+  const head = ["Mode", "Template", "Played", "Won", "Best", "Median", "⭐", "Streak", "Longest", "Backsteps"];
+  const time = (ms) => ms == null ? "—" : formatTime(ms);
+  const pct = (v) => v == null ? "—" : `${Math.round(v * 100)}%`;
+  statsTable.replaceChildren(line("th", head));
+  for (const s of rows) {
+    statsTable.append(line("td", [
+      getMode(s.mode)?.label ?? s.mode,
+      s.template === "auto" ? "Auto" : getTemplate(s.template)?.label ?? s.template,
+      String(s.started), String(s.won), time(s.bestMs), time(s.medianMs), pct(s.starRate),
+      String(s.streak), String(s.longestStreak), s.avgBacksteps == null ? "—" : s.avgBacksteps.toFixed(1)
+    ]));
+  }
+  if (!rows.length) {
+    const td = cell("td", "No games yet — stats start with your first move on a board.");
+    td.colSpan = head.length;
+    const tr = document.createElement("tr");
+    tr.append(td);
+    statsTable.append(tr);
+  }
+}
+function toggleStats() {
+  if (!statsPanel) return;
+  statsPanel.hidden = !statsPanel.hidden;
+  resetArmed = false;
+  if (statsBtn) statsBtn.textContent = statsPanel.hidden ? "Stats" : "Close stats";
+  if (!statsPanel.hidden) { renderStats(); tell(`Stats: ${stats.games.length} game${stats.games.length === 1 ? "" : "s"} logged on this device.`); }
+}
+statsBtn?.addEventListener("click", toggleStats);
+document.getElementById("statsExport")?.addEventListener("click", async () => {
+  const json = JSON.stringify(stats);
+  if (statsJsonEl) statsJsonEl.value = json;
+  try { await navigator.clipboard.writeText(json); tell("Stats JSON copied (also in the text box)."); }
+  catch (err) { tell("Stats JSON is in the text box."); }
+});
+document.getElementById("statsReset")?.addEventListener("click", () => {
+  if (!resetArmed) { resetArmed = true; tell("Press Reset again to erase all stats on this device."); return; }
+  resetArmed = false;
+  stats = emptyStats();
+  statsGameId = null;
+  storeStats();
+  if (statsJsonEl) statsJsonEl.value = "";
+  tell("Stats reset.");
+});
+
+// ---------- Daily archive ----------
+// Past dailies month by month from the stats log (dailyResults): each day of
+// the calendar replays that date's board; the streak counts dailies solved on
+// their own day (dailyStreak).
+const archiveBtn   = document.getElementById("archive");
+const archivePanel = document.getElementById("archivePanel");
+const archiveCal   = document.getElementById("archiveCalendar");
+const archiveList  = document.getElementById("archiveList");
+let archiveMonth = null;           // "YYYY-MM" on show
+
+function renderArchive() {
+  if (!archiveCal) return;
+  const today = utcDay(), results = dailyResults(stats), streak = dailyStreak(stats, today);
+  archiveMonth ??= today.slice(0, 7);
+  const first = new Date(`${archiveMonth}-01T00:00:00Z`);
+  const days = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+  const title = first.toLocaleDateString("en", { month: "long", year: "numeric", timeZone: "UTC" });
+  const el = (tag, text, className) => { const e = document.createElement(tag); e.textContent = text; if (className) e.className = className; return e; };
+  const statusOf = (r) => !r ? "not played" : r.solved ? `solved${r.onTheDay ? "" : " later"}, best ${formatTime(r.bestMs)}` : "not solved yet";
+
+  document.getElementById("archiveTitle").textContent = title;
+  document.getElementById("archiveStreak").textContent =
+    `Streak: ${streak.current} day${streak.current === 1 ? "" : "s"} · Longest: ${streak.longest}`;
+  const next = document.getElementById("archiveNext");
+  if (next) next.disabled = archiveMonth >= today.slice(0, 7);
+
+  archiveCal.replaceChildren(...["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"].map(d => el("span", d, "weekday")));
+  for (let i = (first.getUTCDay() + 6) % 7; i > 0; i--) archiveCal.append(el("span", ""));
+  for (let n = 1; n <= days; n++) {
+    const day = `${archiveMonth}-${String(n).padStart(2, "0")}`, r = results.get(day);
+    const btn = el("button", `${n}${r?.solved ? " ✓" : r ? " ·" : ""}`, "btn day");
+    btn.type = "button";
+    btn.classList.add(day > today ? "future" : r?.onTheDay ? "solved" : r?.solved ? "late" : r ? "open" : "missed");
+    btn.disabled = day > today;
+    btn.setAttribute("aria-label", `${day}: ${statusOf(r)}`);
+    btn.addEventListener("click", () => playDaily(day));
+    archiveCal.append(btn);
+  }
 
-  if (walkedAll && visitedInOrder && atGoal) {
-    gameOver = true; stopTimer();
-    const star = (elapsed <= currentTargetMs) ? " ⭐" : "";
-    tell(`You win! ${formatTime(elapsed)} (Target: ${formatTime(currentTargetMs)})${star}`);
+  const played = [...results.values()].filter(r => r.day.startsWith(archiveMonth)).sort((a, b) => b.day.localeCompare(a.day));
+  archiveList.replaceChildren(...played.map(r => el("li", `${r.day} — ${statusOf(r)}`)));
+  if (!played.length) archiveList.append(el("li", `No dailies played in ${title}.`));
+}
+function toggleArchive() {
+  if (!archivePanel) return;
+  archivePanel.hidden = !archivePanel.hidden;
+  if (archiveBtn) archiveBtn.textContent = archivePanel.hidden ? "Archive" : "Close archive";
+  if (!archivePanel.hidden) { archiveMonth = null; renderArchive(); tell("Daily archive: pick a day to play its board."); }
+}
+function shiftArchiveMonth(delta) {
+  const [y, m] = archiveMonth.split("-").map(Number);
+  archiveMonth = new Date(Date.UTC(y, m - 1 + delta, 1)).toISOString().slice(0, 7);
+  renderArchive();
+}
+// Load a day's daily through the Daily mode (level picker follows)
+async function playDaily(day) {
+  const def = MODES.find(m => m.kind === "daily");
+  lastModeKey = def.key;
+  if (levelSel) levelSel.value = lastModeKey;
+  syncSizeSelect();
+  populateTemplates();
+  if (archivePanel && !archivePanel.hidden) toggleArchive();
+  const today = day === utcDay();
+  if (await generateDaily(def, new Date(`${day}T00:00:00Z`))) {
+    tell(today ? "Daily puzzle — same board all day (UTC)." : `Daily for ${day} from the archive — solving it won't extend your streak.`);
   }
 }
+archiveBtn?.addEventListener("click", toggleArchive);
+document.getElementById("archivePrev")?.addEventListener("click", () => shiftArchiveMonth(-1));
+document.getElementById("archiveNext")?.addEventListener("click", () => shiftArchiveMonth(1));
 
 // ---------- Keyboard (Arrows + WASD + TV D‑pad names + keyCode) ----------
 function mapKeyToDir(e) {
@@ -1165,65 +841,305 @@ function mapKeyToDir(e) {
   return null;
 }
 document.addEventListener("keydown", (e) => {
+  const tag = e.target?.tagName;
+  if (tag === "TEXTAREA" || (tag === "INPUT" && e.target.type !== "checkbox")) return; // typing, not playing
+  if (editing) { if (!focusedHudControl()) editorKey(e); return; }   // OK on Validate etc. presses the button
+  if (e.key === "Backspace" || e.key === "ColorF0Red") { rewindToLastNumber(); e.preventDefault(); return; }
+  // Undo: Ctrl/⌘+Z, remote green / rewind; redo: Ctrl/⌘+Y or Ctrl/⌘+Shift+Z, remote yellow / fast-forward
+  const mod = e.ctrlKey || e.metaKey, k = e.key?.toLowerCase();
+  const redoKey = (mod && (k === "y" || (k === "z" && e.shiftKey))) || e.key === "ColorF2Yellow" || e.key === "MediaFastForward";
+  const undoKey = (mod && k === "z" && !e.shiftKey) || e.key === "ColorF1Green" || e.key === "MediaRewind";
+  if (undoKey || redoKey) { (redoKey ? redo : undo)(); e.preventDefault(); return; }
+  if (!mod && (k === "h" || e.key === "?" || e.key === "ColorF3Blue")) { showHint(); e.preventDefault(); return; }
+  if (!mod && (k === "r" || e.key === "Info")) { readBoard(); e.preventDefault(); return; }
   const dir = mapKeyToDir(e);
   if (!dir) return;
   move(dir);
   e.preventDefault(); // block page scroll on arrows
 });
 
+// Step back = move onto the previous trail cell (the only revisit the rules allow).
+// Returns true if a step was taken.
+function stepBack() {
+  if (!game) return false;
+  const { trail } = game;
+  if (trail.length < 2) return false;
+  const [prev, cur] = trail.slice(-2);
+  return !!move(prev.x < cur.x ? "left" : prev.x > cur.x ? "right" : prev.y < cur.y ? "up" : "down")?.ok;
+}
+
+// ---------- Pointer (mouse / touch / pen drag-to-draw) ----------
+// Dragging walks the player toward the cell under the pointer through move(),
+// so the usual rules and messages apply. A jump of several cells is filled in
+// one step at a time; tapping or dragging back onto the trail cuts it there.
+let dragPointer = null;            // pointerId of the active drag
+
+// canvas may be CSS-scaled down (max-width), so map client px -> canvas px first
+function canvasPoint(e) {
+  const r = canvas.getBoundingClientRect();
+  return { px: (e.clientX - r.left) * (canvas.width / r.width), py: (e.clientY - r.top) * (canvas.height / r.height) };
+}
+function cellAtPointer(e) {
+  const { px, py } = canvasPoint(e);
+  const x = Math.floor(px / CELL), y = Math.floor(py / CELL);
+  return (x >= 0 && y >= 0 && x < COLS && y < ROWS) ? { x, y } : null;
+}
+function dragTo(cell) {
+  if (!game || generating || !cell) return;
+  const here = game.player;
+  if (cell.x === here.x && cell.y === here.y) return;   // still on the player's cell: nothing to cut
+  if (game.trail.some(p => p.x === cell.x && p.y === cell.y)) { truncateTo(cell); return; }
+  // forward: close the larger gap first, fall back to the other axis when blocked.
+  // Only steps onto fresh cells: one onto the trail would backdraw (cutting it) or be refused.
+  for (;;) {
+    const { player, trail } = game;
+    const dx = cell.x - player.x, dy = cell.y - player.y;
+    if (!dx && !dy) return;
+    const h = dx > 0 ? "right" : "left", v = dy > 0 ? "down" : "up";
+    const order = Math.abs(dx) >= Math.abs(dy) ? [dx && h, dy && v] : [dy && v, dx && h];
+    const fresh = (dir) => { const [sx, sy] = DIRS[dir]; return !trail.some(p => p.x === player.x + sx && p.y === player.y + sy); };
+    if (!order.some(dir => dir && fresh(dir) && move(dir)?.kind === "forward")) return;
+  }
+}
+canvas.addEventListener("pointerdown", (e) => {
+  if (e.button > 0) return;        // primary button / touch / pen only
+  if (editing) { editorPointer(e); e.preventDefault(); return; }
+  dragPointer = e.pointerId;
+  canvas.setPointerCapture?.(e.pointerId);
+  dragTo(cellAtPointer(e));
+  e.preventDefault();
+});
+canvas.addEventListener("pointermove", (e) => {
+  if (e.pointerId === dragPointer) dragTo(cellAtPointer(e));
+});
+const endDrag = (e) => { if (e.pointerId === dragPointer) dragPointer = null; };
+canvas.addEventListener("pointerup", endDrag);
+canvas.addEventListener("pointercancel", endDrag);
+
+// ---------- Gamepad (Gamepad API, standard mapping) ----------
+// Polled once per frame while a pad is connected. D-pad / left stick move the
+// player, or walk the HUD when a control has focus; held directions repeat.
+// A = hint, B = step back, Back/Select = rewind to the last number, LT/RT = undo/redo,
+// X = Restart, Y = New; LB/RB cycle HUD focus, A activates the focused control (a select applies its
+// option), Start/B return to the board.
+const PAD_DEADZONE = 0.5;
+const PAD_REPEAT_DELAY_MS = 300, PAD_REPEAT_MS = 120;
+const PAD_BUTTONS = { 0: "a", 1: "b", 2: "x", 3: "y", 4: "lb", 5: "rb", 6: "lt", 7: "rt", 8: "back", 9: "start", 12: "up", 13: "down", 14: "left", 15: "right" };
+const PAD_REPEATING = new Set(["up", "down", "left", "right", "b", "lt", "rt"]);
+let padLoop = null;
+const padHeld = new Map();         // input -> time of its next repeat
+let padPending = null;             // { el, value }: select stepped but not applied yet
+
+function readGamepads() {
+  const pressed = new Set();
+  for (const pad of navigator.getGamepads?.() ?? []) {
+    if (!pad || !pad.connected || pad.mapping !== "standard") continue;
+    pad.buttons.forEach((b, i) => { if (b.pressed && PAD_BUTTONS[i]) pressed.add(PAD_BUTTONS[i]); });
+    // Left stick: dominant axis only, so diagonals don't double-step
+    const [ax = 0, ay = 0] = pad.axes;
+    if (Math.max(Math.abs(ax), Math.abs(ay)) > PAD_DEADZONE) {
+      pressed.add(Math.abs(ax) > Math.abs(ay) ? (ax > 0 ? "right" : "left") : (ay > 0 ? "down" : "up"));
+    }
+  }
+  return pressed;
+}
+function pollGamepads(now) {
+  const pressed = readGamepads();
+  for (const input of padHeld.keys()) if (!pressed.has(input)) padHeld.delete(input);
+  for (const input of pressed) {
+    if (!padHeld.has(input)) {
+      padHeld.set(input, PAD_REPEATING.has(input) ? now + PAD_REPEAT_DELAY_MS : Infinity);
+      onPadInput(input);
+    } else if (now >= padHeld.get(input)) {
+      padHeld.set(input, now + PAD_REPEAT_MS);
+      onPadInput(input);
+    }
+  }
+  padLoop = requestAnimationFrame(pollGamepads);
+}
+
+function hudControls() {
+  return [...document.querySelectorAll("#hud button, #hud select, #hud input, #hud textarea")]
+    .filter(el => !el.disabled && !el.closest("[hidden]"));
+}
+function focusedHudControl() {
+  const el = document.activeElement;
+  return (el && hudControls().includes(el)) ? el : null;
+}
+function revertPadPending() {
+  if (padPending) padPending.el.value = padPending.value;
+  padPending = null;
+}
+function focusBoard() { revertPadPending(); canvas.focus(); }
+function focusHud(from, delta) {
+  const list = [canvas, ...hudControls()];
+  const i = from ? list.indexOf(from) : 0;
+  revertPadPending();
+  list[(i + delta + list.length) % list.length].focus();
+}
+function stepSelect(sel, delta) {
+  const i = Math.max(0, Math.min(sel.options.length - 1, sel.selectedIndex + delta));
+  if (i === sel.selectedIndex) return;
+  if (padPending?.el !== sel) { revertPadPending(); padPending = { el: sel, value: sel.value }; }
+  sel.selectedIndex = i;
+  tell(`${sel.selectedOptions[0].text} — press A to apply`);
+}
+function activateHudControl(el) {
+  if (el.tagName === "SELECT") {
+    const changed = padPending?.el === el && padPending.value !== el.value;
+    padPending = null;
+    if (changed) el.dispatchEvent(new Event("change"));
+    canvas.focus();
+  } else if (el.type === "checkbox") {
+    el.click();
+  } else if (el.tagName === "BUTTON") {
+    el.click();
+    canvas.focus();
+  }
+}
+
+function onPadInput(input) {
+  const ctrl = focusedHudControl();
+  switch (input) {
+    case "up": case "down": case "left": case "right":
+      if (!ctrl) return editing ? moveEditCursor(input) : move(input);
+      if (ctrl.tagName === "SELECT" && (input === "up" || input === "down")) return stepSelect(ctrl, input === "up" ? -1 : 1);
+      return focusHud(ctrl, (input === "up" || input === "left") ? -1 : 1);
+    case "lb":    return focusHud(ctrl, -1);
+    case "rb":    return focusHud(ctrl, 1);
+    case "a":     return ctrl ? activateHudControl(ctrl) : editing ? applyEditTool() : showHint();
+    case "b":     return ctrl ? focusBoard() : stepBack();
+    case "back":  return rewindToLastNumber();
+    case "lt":    return undo();
+    case "rt":    return redo();
+    case "x":     return document.getElementById("restart")?.click();
+    case "y":     return document.getElementById("new")?.click();
+    case "start": return focusBoard();
+  }
+}
+
+window.addEventListener("gamepadconnected", (e) => {
+  if (e.gamepad.mapping !== "standard") { tell(`Gamepad "${e.gamepad.id}" has no standard mapping; use the keyboard or remote.`); return; }
+  tell("Gamepad connected — B: step back, Select: rewind to last number, LT/RT: undo/redo, X: Restart, Y: New, LB/RB: menu, A: hint / select.");
+  padLoop ??= requestAnimationFrame(pollGamepads);
+});
+window.addEventListener("gamepaddisconnected", () => {
+  if ([...(navigator.getGamepads?.() ?? [])].some(p => p?.connected)) return;
+  cancelAnimationFrame(padLoop); padLoop = null;
+  padHeld.clear();
+});
+
 // ---------- UI ----------
 function populateModes() {
   if (!levelSel) return;
   levelSel.innerHTML = "";
   MODES.forEach((m, i) => {
     const opt = document.createElement("option");
-    opt.value = m.key; opt.textContent = `${i+1}. ${m.label}`;
+    opt.value = m.key; opt.textContent = `${i+1}. ${m.kind === "daily" ? m.label : m.name}`;
     levelSel.appendChild(opt);
   });
   levelSel.value = lastModeKey;
 }
+// Board sizes (engine/modes.js BOARD_SIZES); Daily is always 6×6
+function populateSizes() {
+  if (!sizeSel) return;
+  sizeSel.innerHTML = "";
+  for (const [cols, rows] of BOARD_SIZES) {
+    const opt = document.createElement("option");
+    opt.value = `${cols}x${rows}`; opt.textContent = `${cols}×${rows}`;
+    sizeSel.appendChild(opt);
+  }
+  sizeSel.value = "6x6";
+}
+function selectSize(cols, rows) {
+  if (!sizeSel) return;
+  const value = `${cols}x${rows}`;
+  if (![...sizeSel.options].some(o => o.value === value)) {
+    const opt = document.createElement("option");
+    opt.value = value; opt.textContent = `${cols}×${rows}`;
+    sizeSel.appendChild(opt);
+  }
+  sizeSel.value = value;
+}
+function syncSizeSelect() {
+  if (sizeSel) sizeSel.disabled = MODES.find(m => m.key === lastModeKey)?.kind === "daily";
+}
+// Templates from the engine registry (engine/templates.js); the ones that can't
+// cover the current board size are disabled
+function populateTemplates() {
+  const sel = document.getElementById('templateSelect');
+  if (!sel) return;
+  const { cols, rows } = currentModeDef() ?? { cols: COLS, rows: ROWS };
+  const current = sel.value || "auto";
+  sel.innerHTML = "";
+  for (const t of [{ id: "auto", label: "Auto (weighted)" }, ...listTemplates()]) {
+    const opt = document.createElement("option");
+    opt.value = t.id; opt.textContent = t.label;
+    opt.disabled = t.fits ? !t.fits(cols, rows) : false;
+    sel.appendChild(opt);
+  }
+  sel.value = getTemplate(current)?.fits(cols, rows) ? current : "auto";
+}
 
 
 levelSel?.addEventListener("change", async (e) => {
   const key = e.target.value;
-  const def = MODES.find(m => m.key === key);
+  const def = currentModeDef(key);
   if (!def) return;
   lastModeKey = key;
-  if (def.kind === "zip") { currentTargetMs = 60_000; await generateZip6x6(); }
-  else { currentTargetMs = def.targetMs ?? 60_000; await generateLevel(def); }
-  updateTimeTargetDisplay(0);
-  draw();
-  tell(`Mode: ${def.label}`);
+  syncSizeSelect();
+  populateTemplates();
+  // switching again mid-search cancels the previous job (see runGeneratorJob)
+  let ok;
+  if (def.kind === "zip") ok = await generateZip();
+  else if (def.kind === "daily") ok = await generateDaily(def);
+  else ok = await generateLevel(def);
+  if (ok) tell(`Mode: ${def.label}`);
 });
 
 // Announce template selection changes
 const tplSel = document.getElementById('templateSelect');
 if (tplSel) tplSel.addEventListener('change', (e) => { tell(`Template: ${e.target.selectedOptions[0].text}`); });
 
+// Size: a new board of the current mode at that size
+sizeSel?.addEventListener("change", async () => {
+  const def = currentModeDef();
+  if (!def || def.kind === "daily") return;
+  populateTemplates();
+  if (await (def.kind === "zip" ? generateZip() : generateLevel(def))) tell(`Mode: ${def.label}`);
+});
+
 document.getElementById("new")?.addEventListener("click", async () => {
-  const def = MODES.find(m => m.key === lastModeKey);
-  if (!def || def.kind === "zip") { currentTargetMs = 60_000; tell("New Zip layout."); await generateZip6x6(); }
-  else { currentTargetMs = def.targetMs ?? 60_000; tell(`New ${def.label} layout.`); await generateLevel(def); }
-  updateTimeTargetDisplay(0);
-  // save layout for restart
-  savedLayout = { mode: lastModeKey, cols: COLS, rows: ROWS, playerStart: { ...player }, goalPos: { ...goal }, anchors: anchors.map(a => ({ ...a })), walls: Array.from(walls), template: document.getElementById('templateSelect')?.value ?? 'auto' };
-  draw();
+  const def = currentModeDef();
+  // pressing New again mid-search cancels the previous job; generators record savedLayout (incl. seed)
+  if (!def || def.kind === "zip") { tell("New Zip layout."); await generateZip(); }
+  else if (def.kind === "daily") { if (await generateDaily(def)) tell("Daily puzzle — same board all day (UTC)."); }
+  else { tell(`New ${def.label} layout.`); await generateLevel(def); }
+});
+
+document.getElementById("hint")?.addEventListener("click", showHint);
+
+// Share: copy a link that opens this exact board (also put in the address bar
+// for devices without a clipboard)
+document.getElementById("share")?.addEventListener("click", async () => {
+  if (!savedLayout) { tell("No board to share yet."); return; }
+  const url = shareUrl(savedLayout);
+  history.replaceState(null, "", url);
+  try {
+    await navigator.clipboard.writeText(url);
+    tell("Link copied — send it to challenge someone on this board.");
+  } catch (err) {
+    tell(`Share this link: ${url}`);
+  }
 });
+document.getElementById("undo")?.addEventListener("click", undo);
+document.getElementById("redo")?.addEventListener("click", redo);
 
 document.getElementById("restart")?.addEventListener("click", () => {
   if (!savedLayout) { tell("No saved layout yet. Click New first."); return; }
-  // rebuild from savedLayout
-  COLS = savedLayout.cols; ROWS = savedLayout.rows; CELL = Math.floor(canvas.width / COLS);
-  grid = Array.from({ length: ROWS }, (_, y) => Array.from({ length: COLS }, (_, x) => ({ x, y })));
-  player = { ...savedLayout.playerStart };
-  goal   = { ...savedLayout.goalPos };
-  anchors = savedLayout.anchors.map(a => ({ ...a }));
-  anchorsMap.clear(); for (const a of anchors) anchorsMap.set(keyOf(a.x, a.y), a.n);
-  walls.clear(); savedLayout.walls?.forEach(w => walls.add(w));
-
-  trail = [{ x: player.x, y: player.y }];
-  visitedCells = new Set([ keyOf(player.x, player.y) ]);
-  gameOver = false; hasStarted = false; elapsed = 0; startTime = null;
+  // abandon any search in progress and rebuild from savedLayout
+  abandonGeneration();
+  loadLayout(savedLayout);
   updateTimeTargetDisplay(0);
   // restore template selection if available
   const tplSel = document.getElementById('templateSelect');
@@ -1233,40 +1149,305 @@ document.getElementById("restart")?.addEventListener("click", () => {
 });
 
 // Verify button: run extended solvability check and report
-document.getElementById('verifySolvable')?.addEventListener('click', () => {
-  if (!player || !goal) { tell('No layout loaded yet.'); return; }
+document.getElementById('verifySolvable')?.addEventListener('click', async () => {
+  if (!game) { tell('No layout loaded yet.'); return; }
+  if (generating) { tell('Still generating a layout...'); return; }
   tell('Running extended solvability check...');
-  // run with a larger budget and report
-  setTimeout(() => {
-    const ok = isLayoutSolvable(player.x, player.y, goal.x, goal.y, 2000);
-    if (ok) {
-      tell('Verification: layout is solvable ✅');
-      console.info('Verification: layout is solvable');
-    } else {
-      tell('Verification: layout NOT solvable ⚠️');
-      console.warn('Verification: layout NOT solvable');
-      // dump layout to console and attempt to copy to clipboard for sharing/debug
-      const dump = { cols: COLS, rows: ROWS, anchors: anchors.map(a => ({...a})), walls: Array.from(walls), player: {...player}, goal: {...goal} };
-      console.info('Layout dump (copy/share):', dump);
-      try { navigator.clipboard.writeText(JSON.stringify(dump)); tell('Layout copied to clipboard for debugging.'); }
-      catch (e) { /* ignore */ }
-    }
-  }, 20);
+  // run with a larger budget (in the worker) and report
+  const { ok, cancelled } = await runGeneratorJob({ type: "verify", layout: game.puzzle, timeBudgetMs: 2000 });
+  if (cancelled) return;
+  if (ok) {
+    tell('Verification: layout is solvable ✅');
+    console.info('Verification: layout is solvable');
+  } else {
+    tell('Verification: layout NOT solvable ⚠️');
+    console.warn('Verification: layout NOT solvable');
+    // dump layout to console and attempt to copy to clipboard for sharing/debug
+    const { cols, rows, anchors, walls, playerStart, goalPos } = game.puzzle;
+    const dump = { cols, rows, anchors: anchors.map(a => ({...a})), walls: [...walls], player: {...playerStart}, goal: {...goalPos} };
+    console.info('Layout dump (copy/share):', dump);
+    try { navigator.clipboard.writeText(JSON.stringify(dump)); tell('Layout copied to clipboard for debugging.'); }
+    catch (e) { /* ignore */ }
+  }
+});
+
+// ---------- Level editor ----------
+// Hand-made boards: set the size, place/remove numbers (new ones get the next
+// number; [ and ] move one earlier/later in the order) and toggle walls.
+// Validate runs the solver (and a uniqueness count) in the worker; Play opens
+// the board, Export/Import use the savedLayout JSON.
+// Pointer: click a cell (numbers) or near an edge (walls). Keyboard / remote /
+// gamepad: arrows move the cursor, Enter or A applies the tool, Delete removes a number,
+// while the board has focus (on a HUD control those keys work the control).
+const EDIT_MIN_SIDE = 2, EDIT_MAX_SIDE = MAX_BOARD_SIDE;
+const editorBar  = document.getElementById("editorBar");
+const editorJson = document.getElementById("editorJson");
+const editBtn    = document.getElementById("edit");
+const editColsEl = document.getElementById("editCols");
+const editRowsEl = document.getElementById("editRows");
+const editToolEl = document.getElementById("editTool");
+const editJsonEl = document.getElementById("editJson");
+
+function openEditor() {
+  abandonGeneration();
+  stopTimer();
+  const base = savedLayout ?? { cols: COLS, rows: ROWS, anchors: [], walls: [] };
+  editing = {
+    cols: base.cols, rows: base.rows,
+    anchors: base.anchors.map(a => ({ x: a.x, y: a.y, n: a.n })),
+    walls: new Set(base.walls),
+    cursor: { x: 0, y: 0 }
+  };
+  if (editColsEl) editColsEl.value = editing.cols;
+  if (editRowsEl) editRowsEl.value = editing.rows;
+  if (editorBar) editorBar.hidden = false;
+  if (editorJson) editorJson.hidden = false;
+  if (editBtn) editBtn.textContent = "Exit editor";
+  buildGrid(editing.cols, editing.rows);
+  tell("Editor: click cells to add/remove numbers; switch the tool to toggle walls.");
+  canvas.focus();                  // editor keys only apply while the board has focus
+  draw();
+}
+function closeEditor() {
+  if (!editing) return;
+  editing = null;
+  if (editorBar) editorBar.hidden = true;
+  if (editorJson) editorJson.hidden = true;
+  if (editBtn) editBtn.textContent = "Edit";
+}
+
+// The board being edited, savedLayout-shaped (start/goal = numbers 1 and K)
+function editorLayout() {
+  const anchors = [...editing.anchors].sort((a, b) => a.n - b.n).map(a => ({ ...a }));
+  const first = anchors[0], last = anchors[anchors.length - 1];
+  return {
+    mode: "custom", cols: editing.cols, rows: editing.rows,
+    playerStart: first ? { x: first.x, y: first.y } : null, goalPos: last ? { x: last.x, y: last.y } : null,
+    anchors, walls: [...editing.walls], template: "custom", seed: null, unique: false
+  };
+}
+
+function resizeEditor(cols, rows) {
+  cols = Math.max(EDIT_MIN_SIDE, Math.min(EDIT_MAX_SIDE, cols | 0 || editing.cols));
+  rows = Math.max(EDIT_MIN_SIDE, Math.min(EDIT_MAX_SIDE, rows | 0 || editing.rows));
+  editing.cols = cols; editing.rows = rows;
+  // drop what falls off the board, then close the gaps in the numbering
+  editing.anchors = editing.anchors.filter(a => a.x < cols && a.y < rows).sort((a, b) => a.n - b.n);
+  editing.anchors.forEach((a, i) => { a.n = i + 1; });
+  for (const w of [...editing.walls]) {
+    const [xy, dir] = w.split("|");
+    const [x, y] = xy.split(",").map(Number);
+    if (dir === "right" ? (x >= cols - 1 || y >= rows) : (x >= cols || y >= rows - 1)) editing.walls.delete(w);
+  }
+  editing.cursor = { x: Math.min(editing.cursor.x, cols - 1), y: Math.min(editing.cursor.y, rows - 1) };
+  if (editColsEl) editColsEl.value = cols;
+  if (editRowsEl) editRowsEl.value = rows;
+  buildGrid(cols, rows);
+  draw();
+}
+
+function anchorAt(x, y) { return editing.anchors.find(a => a.x === x && a.y === y) ?? null; }
+// Add the next number here, or remove the number that is here (later ones move down)
+function toggleAnchor(x, y) {
+  const a = anchorAt(x, y);
+  if (a) {
+    editing.anchors = editing.anchors.filter(b => b !== a);
+    for (const b of editing.anchors) if (b.n > a.n) b.n--;
+    tell(`Removed ${a.n}.`);
+  } else {
+    editing.anchors.push({ x, y, n: editing.anchors.length + 1 });
+    tell(`Placed ${editing.anchors.length}.`);
+  }
+}
+// Swap the number under the cursor with the one before (-1) or after (+1) it
+function renumberAnchor(delta) {
+  const { x, y } = editing.cursor;
+  const a = anchorAt(x, y);
+  if (!a) { tell("Move the cursor onto a number first."); return; }
+  const b = editing.anchors.find(o => o.n === a.n + delta);
+  if (!b) return;
+  [a.n, b.n] = [b.n, a.n];
+  tell(`Now ${a.n} (was ${b.n}).`);
+  draw();
+}
+function toggleWall(key) {
+  if (editing.walls.has(key)) editing.walls.delete(key); else editing.walls.add(key);
+}
+
+function moveEditCursor(dir) {
+  const [dx, dy] = { up: [0, -1], right: [1, 0], down: [0, 1], left: [-1, 0] }[dir];
+  const c = editing.cursor;
+  editing.cursor = { x: Math.max(0, Math.min(editing.cols - 1, c.x + dx)), y: Math.max(0, Math.min(editing.rows - 1, c.y + dy)) };
+  draw();
+}
+// Apply the current tool at the cursor (walls: the cursor cell's right / down edge)
+function applyEditTool() {
+  const { x, y } = editing.cursor;
+  const tool = editToolEl?.value ?? "anchor";
+  if (tool === "anchor") toggleAnchor(x, y);
+  else if (tool === "right" && x < editing.cols - 1) toggleWall(`${x},${y}|right`);
+  else if (tool === "down" && y < editing.rows - 1) toggleWall(`${x},${y}|down`);
+  draw();
+}
+function editorPointer(e) {
+  const cell = cellAtPointer(e);
+  if (!cell) return;
+  editing.cursor = cell;
+  if ((editToolEl?.value ?? "anchor") === "anchor") { toggleAnchor(cell.x, cell.y); draw(); return; }
+  // walls: the edge nearest to the pointer inside this cell
+  const { px, py } = canvasPoint(e);
+  const fx = px / CELL - cell.x, fy = py / CELL - cell.y;
+  const side = [["left", fx], ["right", 1 - fx], ["up", fy], ["down", 1 - fy]].sort((a, b) => a[1] - b[1])[0][0];
+  const { x, y } = cell;
+  const key = { left: x > 0 && `${x - 1},${y}|right`, right: x < editing.cols - 1 && `${x},${y}|right`,
+                up: y > 0 && `${x},${y - 1}|down`, down: y < editing.rows - 1 && `${x},${y}|down` }[side];
+  if (key) toggleWall(key);
+  draw();
+}
+function editorKey(e) {
+  const dir = mapKeyToDir(e);
+  if (dir) moveEditCursor(dir);
+  else if (e.key === "Enter" || e.key === " ") applyEditTool();
+  else if (e.key === "Delete" || e.key === "Backspace") {
+    const { x, y } = editing.cursor;
+    if (anchorAt(x, y)) { toggleAnchor(x, y); draw(); }
+  }
+  else if (e.key === "[") renumberAnchor(-1);
+  else if (e.key === "]") renumberAnchor(1);
+  else if (e.key === "Escape") { exitEditor(); }
+  else return;
+  e.preventDefault();
+}
+
+function drawEditor() {
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  drawGridLines();
+  drawWalls(editing.walls);
+  drawNumbers(editing.anchors);
+  // cursor
+  const { x, y } = editing.cursor;
+  ctx.save();
+  ctx.strokeStyle = theme.cursor;
+  ctx.lineWidth = Math.max(3, Math.floor(CELL * 0.06));
+  ctx.setLineDash([CELL / 8, CELL / 12]);
+  ctx.strokeRect(x * CELL + 3, y * CELL + 3, CELL - 6, CELL - 6);
+  ctx.restore();
+}
+
+// Solver check in the worker. Resolves the check result, or null if it couldn't run.
+async function validateEditor() {
+  let saved;
+  try { saved = normalizeSavedLayout(editorLayout()); }
+  catch (err) { tell(`${err.message}.`); return null; }
+  tell("Checking board...");
+  const res = await runGeneratorJob({ type: "check", layout: saved, timeBudgetMs: 3000 });
+  if (res.cancelled || !editing) return null;
+  if (res.error) { tell(`Check failed: ${res.error}`); return null; }
+  const rated = difficultyText(res.difficulty);
+  if (!res.solvable) tell("Not solvable (or too hard to prove in time) ⚠️");
+  else if (res.solutions === 1 && res.exact) tell(`Solvable — unique solution${rated} ✅`);
+  else if (res.solutions > 1) tell(`Solvable, but has more than one solution${rated}.`);
+  else tell(`Solvable${rated} ✅ (uniqueness not proven in time)`);
+  return { saved, ...res };
+}
+function exitEditor() {
+  closeEditor();
+  if (savedLayout) { loadLayout(savedLayout); tell("Editor closed — board restarted."); }
+  else tell("Editor closed.");
+  updateTimeTargetDisplay(0);
+  draw();
+}
+
+editBtn?.addEventListener("click", () => { if (editing) exitEditor(); else openEditor(); });
+editColsEl?.addEventListener("change", () => editing && resizeEditor(+editColsEl.value, editing.rows));
+editRowsEl?.addEventListener("change", () => editing && resizeEditor(editing.cols, +editRowsEl.value));
+document.getElementById("editEarlier")?.addEventListener("click", () => editing && renumberAnchor(-1));
+document.getElementById("editLater")?.addEventListener("click", () => editing && renumberAnchor(1));
+document.getElementById("editClear")?.addEventListener("click", () => {
+  if (!editing) return;
+  editing.anchors = []; editing.walls.clear();
+  tell("Cleared."); draw();
+});
+document.getElementById("editValidate")?.addEventListener("click", () => { if (editing) validateEditor(); });
+document.getElementById("editPlay")?.addEventListener("click", async () => {
+  if (!editing) return;
+  const res = await validateEditor();
+  if (!res?.solvable) return;
+  currentTargetMs = 60_000;
+  savedLayout = { ...res.saved, unique: res.solutions === 1 && res.exact, difficulty: res.difficulty };
+  loadLayout(savedLayout);
+  clearShareHash();
+  tell("Playing your board. Share it with the Share button.");
+  updateTimeTargetDisplay(0);
+  draw();
+});
+document.getElementById("editExport")?.addEventListener("click", async () => {
+  if (!editing) return;
+  const json = JSON.stringify(editorLayout());
+  if (editJsonEl) editJsonEl.value = json;
+  try { await navigator.clipboard.writeText(json); tell("Board JSON copied (also in the text box)."); }
+  catch (err) { tell("Board JSON is in the text box."); }
+});
+document.getElementById("editImport")?.addEventListener("click", () => {
+  if (!editing) return;
+  let saved;
+  try { saved = normalizeSavedLayout(JSON.parse(editJsonEl?.value ?? "")); }
+  catch (err) { tell(err instanceof SyntaxError ? "Import: not valid JSON." : `Import: ${err.message}.`); return; }
+  editing.anchors = saved.anchors; editing.walls = new Set(saved.walls);
+  editing.cols = saved.cols; editing.rows = saved.rows;
+  resizeEditor(saved.cols, saved.rows);
+  tell(`Imported a ${saved.cols}×${saved.rows} board with ${saved.anchors.length} numbers.`);
 });
 
 // ---------- Resize & init ----------
+// Largest square cell that fits COLS×ROWS in the window; the canvas takes the
+// board's shape so rectangular boards aren't squashed
+function sizeCanvas() {
+  const clamp = (v) => Math.max(360, Math.min(1080, Math.floor(v)));
+  const maxW = clamp(window.innerWidth * 0.9), maxH = clamp(window.innerHeight * 0.7);
+  CELL = Math.floor(Math.min(maxW / COLS, maxH / ROWS));
+  canvas.width = COLS * CELL; canvas.height = ROWS * CELL;
+}
 function fitCanvas() {
-  const size = Math.min(window.innerWidth * 0.9, window.innerHeight * 0.7);
-  const s = Math.max(360, Math.min(1080, Math.floor(size)));
-  canvas.width = s; canvas.height = s;
-  CELL = Math.floor(canvas.width / COLS);
+  sizeCanvas();
   draw();
 }
 window.addEventListener("resize", fitCanvas);
 
+// Theme picker + large numbers (persisted)
+if (themeSel) {
+  themeSel.replaceChildren(...THEMES.map(t => { const opt = document.createElement("option"); opt.value = t.key; opt.textContent = t.label; return opt; }));
+  themeSel.addEventListener("change", () => {
+    localStorage.setItem("connex.theme", themeSel.value);
+    applyTheme(themeSel.value);
+    tell(`Theme: ${theme.label}`);
+  });
+}
+if (largeNumbersToggle) {
+  largeNumbersToggle.checked = largeNumbers = localStorage.getItem("connex.largeNumbers") === "1";
+  largeNumbersToggle.addEventListener("change", () => {
+    largeNumbers = largeNumbersToggle.checked;
+    localStorage.setItem("connex.largeNumbers", largeNumbers ? "1" : "0");
+    tell(largeNumbers ? "Large numbers on." : "Large numbers off.");
+    draw();
+  });
+}
+applyTheme(initialThemeKey());
+
 // Init
 populateModes();
+populateSizes();
+populateTemplates();
 fitCanvas();
-// Default start: Zip 6×6 (12)
-currentTargetMs = 60_000;
-generateZip6x6();
+// Resume for a saved game in progress (also when the link is that board's own
+// #p= code), else the shared link (#p=...) if any, else the default start: Zip 6×6 (12)
+const startCode = sharedCodeFromHash();
+const startSave = loadSavedGame();
+const resumable = startSave && (!startCode || isShareCodeFor(startCode, startSave.layout)) ? startSave : null;
+if (!(resumable && offerResume(resumable))) {
+  const sharedOk = startCode ? await openSharedPuzzle(startCode) : false;
+  if (sharedOk === false) {
+    const why = startCode ? statusEl.textContent : null;
+    if (await generateZip() && why) tell(`${why} Here's a new Zip board instead.`);
+  }
+}
@@ -0,0 +1,95 @@
+// ================================
+// Connex — dead-end checks (assist mode)
+// Fast necessary conditions on a partial trail: flood fills and neighbour
+// counts, cheap enough to run after every move. Finding nothing does not prove
+// the trail can be finished; that takes the solver (see hints.js).
+// ================================
+import { keyOf, blockedByWall } from './layout.js';
+
+const DIRS4 = [[0,-1],[1,0],[0,1],[-1,0]];
+
+// findDeadEnds(layout, trail) -> [issue], empty if none; issue is one of
+//   { kind: "order", n }          number n was walked before an earlier one
+//   { kind: "goal", cell }        the last number is walked too early, or cut off
+//   { kind: "split", cells }      unwalked cells cut off from the rest
+//   { kind: "pocket", cells }     unwalked cells with a single way in (only the goal may end the path)
+//   { kind: "number", n, cell }   the next number can't be reached without passing a later one
+export function findDeadEnds(layout, trail) {
+  const { cols, rows, walls, anchors, anchorsMap } = layout;
+  const issues = [];
+  const walked = new Set(trail.map(p => keyOf(p.x, p.y)));
+  if (walked.size === cols * rows) return issues; // board full: the win check decides
+
+  const K = anchors.length;
+  const goal = anchors.find(a => a.n === K);
+  const goalKey = keyOf(goal.x, goal.y);
+  const head = trail[trail.length - 1];
+
+  function openNeighbours(x, y) {
+    const out = [];
+    for (const [dx, dy] of DIRS4) {
+      const nx = x + dx, ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+      if (blockedByWall(walls, x, y, nx, ny)) continue;
+      out.push({ x: nx, y: ny });
+    }
+    return out;
+  }
+  // Unwalked cells reachable from `from` without stepping on `avoid` cells
+  function flood(from, avoid = () => false) {
+    const seen = new Set(from.map(p => keyOf(p.x, p.y)));
+    const q = [...from];
+    for (let i = 0; i < q.length; i++) {
+      for (const nb of openNeighbours(q[i].x, q[i].y)) {
+        const k = keyOf(nb.x, nb.y);
+        if (walked.has(k) || seen.has(k) || avoid(k)) continue;
+        seen.add(k); q.push(nb);
+      }
+    }
+    return seen;
+  }
+
+  // Numbers must be first-walked in order 1..m
+  let next = 1;
+  for (const p of trail) {
+    const n = anchorsMap.get(keyOf(p.x, p.y));
+    if (n == null) continue;
+    if (n !== next) { issues.push({ kind: "order", n }); next = null; break; }
+    next++;
+  }
+
+  const ahead = openNeighbours(head.x, head.y).filter(p => !walked.has(keyOf(p.x, p.y)));
+  const reachable = flood(ahead);
+  if (walked.has(goalKey) || !reachable.has(goalKey)) issues.push({ kind: "goal", cell: { x: goal.x, y: goal.y } });
+
+  // Split: every unwalked cell must sit in one region with the head's way forward
+  const cutOff = [];
+  for (let y = 0; y < rows; y++) for (let x = 0; x < cols; x++) {
+    const k = keyOf(x, y);
+    if (!walked.has(k) && !reachable.has(k)) cutOff.push({ x, y });
+  }
+  if (cutOff.length) issues.push({ kind: "split", cells: cutOff });
+
+  // Pockets: the path passes through every unwalked cell, so each needs two ways
+  // in (the head counts as one), except the goal where it ends
+  const aheadKeys = new Set(ahead.map(p => keyOf(p.x, p.y)));
+  const pockets = [];
+  for (const k of reachable) {
+    if (k === goalKey) continue;
+    const [x, y] = k.split(",").map(Number);
+    let ways = aheadKeys.has(k) ? 1 : 0;
+    for (const nb of openNeighbours(x, y)) if (!walked.has(keyOf(nb.x, nb.y))) ways++;
+    if (ways < 2) pockets.push({ x, y });
+  }
+  if (pockets.length) issues.push({ kind: "pocket", cells: pockets });
+
+  // Next number: reachable without walking over any other number first
+  if (next != null && next < K) {
+    const target = anchors.find(a => a.n === next);
+    const targetKey = keyOf(target.x, target.y);
+    const route = flood(ahead.filter(p => { const k = keyOf(p.x, p.y); return k === targetKey || !anchorsMap.has(k); }),
+                        k => k !== targetKey && anchorsMap.has(k));
+    if (!route.has(targetKey)) issues.push({ kind: "number", n: next, cell: { x: target.x, y: target.y } });
+  }
+  return issues;
+}
@@ -0,0 +1,78 @@
+// ================================
+// Connex — spoken board descriptions (screen readers)
+// Plain text about a game (createGame) for a live region: where the player is
+// and where they can go after each move, or the whole board row by row.
+// Rows and columns count from 1, top left.
+// ================================
+import { keyOf, blockedByWall } from './layout.js';
+import { DIRS } from './game.js';
+
+const list = (words) => words.length < 2 ? words.join("") : `${words.slice(0, -1).join(", ")} and ${words[words.length - 1]}`;
+
+// Directions the player can take from the end of the trail: [{ dir, back }]
+// (back: onto the previous trail cell, which steps back). Empty once won.
+export function legalMoves(game) {
+  const { cols, rows, walls } = game.layout;
+  const { trail, won } = game;
+  if (won) return [];
+  const head = trail[trail.length - 1], prev = trail[trail.length - 2];
+  const onTrail = new Set(trail.map(p => keyOf(p.x, p.y)));
+  const moves = [];
+  for (const [dir, [dx, dy]] of Object.entries(DIRS)) {
+    const x = head.x + dx, y = head.y + dy;
+    if (x < 0 || y < 0 || x >= cols || y >= rows || blockedByWall(walls, head.x, head.y, x, y)) continue;
+    const back = !!prev && prev.x === x && prev.y === y;
+    if (back || !onTrail.has(keyOf(x, y))) moves.push({ dir, back });
+  }
+  return moves;
+}
+
+// "Row 2, column 3, number 4. Walls up and left. Next number 5, 20 cells left.
+// Moves: right, down; back left."
+export function describePosition(game) {
+  const { cols, rows, walls } = game.layout;
+  const { player, trail, nextRequired, won } = game;
+  const n = game.getCellNumber(player.x, player.y);
+  const here = `Row ${player.y + 1}, column ${player.x + 1}${n != null ? `, number ${n}` : ""}.`;
+  if (won) return `${here} Solved.`;
+
+  const wallDirs = Object.entries(DIRS)
+    .filter(([, [dx, dy]]) => {
+      const x = player.x + dx, y = player.y + dy;
+      return x >= 0 && y >= 0 && x < cols && y < rows && blockedByWall(walls, player.x, player.y, x, y);
+    })
+    .map(([dir]) => dir);
+  const left = cols * rows - trail.length;
+  const moves = legalMoves(game);
+  const forward = moves.filter(m => !m.back).map(m => m.dir), back = moves.find(m => m.back);
+  return [
+    here,
+    wallDirs.length ? `Wall${wallDirs.length > 1 ? "s" : ""} ${list(wallDirs)}.` : "",
+    `${nextRequired != null ? `Next number ${nextRequired}` : "All numbers walked"}, ${left} cell${left === 1 ? "" : "s"} left.`,
+    forward.length ? `Moves: ${forward.join(", ")}${back ? `; back ${back.dir}` : ""}.` : back ? `Dead end: back ${back.dir}.` : "No moves."
+  ].filter(Boolean).join(" ");
+}
+
+// The whole board, one line per row, cells separated by semicolons: the
+// number if any, "you" / "walked" / "blank", and walls on its right and below.
+export function describeBoard(game) {
+  const { cols, rows, walls, anchors } = game.layout;
+  const { player, trail } = game;
+  const onTrail = new Set(trail.map(p => keyOf(p.x, p.y)));
+  const lines = [`${cols} by ${rows} board, numbers 1 to ${anchors.length}.`];
+  for (let y = 0; y < rows; y++) {
+    const cells = [];
+    for (let x = 0; x < cols; x++) {
+      const n = game.getCellNumber(x, y);
+      const words = [];
+      if (n != null) words.push(String(n));
+      words.push(x === player.x && y === player.y ? "you" : onTrail.has(keyOf(x, y)) ? "walked" : n != null ? "" : "blank");
+      if (x < cols - 1 && blockedByWall(walls, x, y, x + 1, y)) words.push("wall right");
+      if (y < rows - 1 && blockedByWall(walls, x, y, x, y + 1)) words.push("wall below");
+      cells.push(words.filter(Boolean).join(" "));
+    }
+    lines.push(`Row ${y + 1}: ${cells.join("; ")}.`);
+  }
+  lines.push(describePosition(game));
+  return lines.join("\n");
+}
@@ -0,0 +1,63 @@
+// ================================
+// Connex — difficulty rating
+// How hard the solver has to work for a board: choices it meets, wrong
+// branches it abandons and how deep they go. Cells with one legal move cost
+// nothing, so a board that solves itself by forced moves rates near 0 however
+// many numbers or walls it has.
+// ================================
+import { createLayout } from './layout.js';
+import { searchSolutions } from './solver.js';
+
+export const RATE_CHECK_NODES = 200_000;
+
+// Score bands for a 6×6 board, lowest first; tier = the last one whose `min`
+// the score reaches
+export const DIFFICULTY_TIERS = [
+  { key: "easy",   label: "Easy",   min: 0 },
+  { key: "medium", label: "Medium", min: 30 },
+  { key: "hard",   label: "Hard",   min: 50 },
+  { key: "expert", label: "Expert", min: 70 }
+];
+
+// Bigger boards leave the solver more open choices per cell whatever the
+// numbers (the easiest 6×6 boards score about 15, the easiest 10×10 ones about
+// 30), so past 6×6 every band moves up a point per TIER_SHIFT_CELLS extra cells.
+export const TIER_SHIFT_CELLS = 5;
+const tierShift = (cells) => Math.max(0, Math.round((cells - 36) / TIER_SHIFT_CELLS));
+const tierMin = (i, cells) => i === 0 ? 0 : DIFFICULTY_TIERS[i].min + tierShift(cells);
+
+// Tier key of a score on a board of `cells` cells
+export function tierFor(score, cells = 36) {
+  let tier = DIFFICULTY_TIERS[0];
+  DIFFICULTY_TIERS.forEach((t, i) => { if (score >= tierMin(i, cells)) tier = t; });
+  return tier.key;
+}
+
+// [min, max) score range of a tier key on a board of `cells` cells, or null
+export function tierRange(key, cells = 36) {
+  const i = DIFFICULTY_TIERS.findIndex(t => t.key === key);
+  if (i < 0) return null;
+  return [tierMin(i, cells), i + 1 < DIFFICULTY_TIERS.length ? tierMin(i + 1, cells) : Infinity];
+}
+
+// rateDifficulty(puzzle) — puzzle is savedLayout-shaped. Returns
+//   { score, tier, metrics: { nodes, forced, decisions, backtracks, maxBacktrack } }
+// score: 0..100, effort per cell squashed so that effort equal to the cell count is 50;
+// tier: its band for the board's size (see tierFor).
+// null if the solver finds no solution within maxNodes.
+export function rateDifficulty(puzzle, { maxNodes = RATE_CHECK_NODES } = {}) {
+  const layout = createLayout(puzzle);
+  const { x: sx, y: sy } = puzzle.playerStart, { x: gx, y: gy } = puzzle.goalPos;
+  return rateSearch(searchSolutions(layout, sx, sy, gx, gy, { timeBudgetMs: Infinity, maxNodes }), puzzle.cols * puzzle.rows);
+}
+
+// The same rating from a finished single-solution search (searchSolutions with
+// cap 1 from the start cell) over a board of `cells` cells, so a caller that
+// already ran that search doesn't run it twice; null if it found no solution.
+export function rateSearch(res, cells) {
+  if (!res.count) return null;
+  const { forced, decisions, backtracks, maxBacktrack } = res.stats;
+  const effort = decisions + 2 * backtracks + maxBacktrack;
+  const score = Math.round(100 * effort / (effort + cells));
+  return { score, tier: tierFor(score, cells), metrics: { nodes: res.nodes, forced, decisions, backtracks, maxBacktrack } };
+}
@@ -0,0 +1,255 @@
+// ================================
+// Connex — game rules (DOM-free)
+// Free movement; backdraw 1 step, or cut the trail back to any earlier cell;
+// block other revisits.
+// Win only if: full coverage + numbers first-visited in order + end on last number.
+// ================================
+import { keyOf, createLayout, blockedByWall } from './layout.js';
+import { findDeadEnds } from './deadends.js';
+
+export const DIRS = { up: [0, -1], right: [1, 0], down: [0, 1], left: [-1, 0] };
+
+// Direction of a single step between orthogonal neighbours
+function dirBetween(a, b) {
+  return b.x > a.x ? "right" : b.x < a.x ? "left" : b.y > a.y ? "down" : "up";
+}
+
+// createGame(puzzle, { assist }) — puzzle is a savedLayout-shaped object; with
+// assist on, every applied action runs the dead-end checks (deadends.js).
+//   game.move(dir)   -> { ok, kind, from, to }; kind is
+//                       "forward" | "back" (applied) or
+//                       "outside" | "wall" | "revisit" | "over" (rejected)
+//   game.truncateTo(x, y) -> same shape; cuts the trail back to an earlier cell of
+//                       it (kind "truncate"), else rejects with "not-on-trail" |
+//                       "at-end" (the player's own cell: nothing to cut) | "over"
+//   game.undo() / game.redo() -> same shape; kind "undo" | "redo", else rejects
+//                       with "empty" | "over". Blocked attempts are skipped.
+//   game.recordHint(status) -> count a hint shown to the player (logged in history)
+//   game.setAssist(on) -> toggle the dead-end checks (re-checks the current trail)
+//   game.state       -> snapshot { player, trail, visited, nextRequired, won, moves, canUndo, canRedo, hints, deadEnds }
+//                       (deadEnds = findDeadEnds() issues; [] with assist off)
+//                       (moves = one-cell trail steps, in order, incl. those made
+//                       by cuts/undo/redo; replayable with replayMoves())
+//   game.player / game.trail / game.nextRequired / game.won / game.deadEnds
+//                    -> the same fields one at a time, without copying the rest
+//                       (for per-frame and per-step callers)
+//   game.history     -> JSON-ready log of every action, in order:
+//                       { type: "move", dir, kind } | { type: "truncate", x, y, kind } |
+//                       { type: "undo" } | { type: "redo" } | { type: "hint", status }
+//   game.on(type, fn) -> unsubscribe; events: "step" (applied action, same
+//                       object move() returns), "blocked" (rejected), "win" ({ trail, hints })
+//   game.reset()     -> back to the start cell; clears history
+export function createGame(puzzle, { assist = false } = {}) {
+  const layout = createLayout(puzzle);
+  const { cols, rows, anchors, anchorsMap, walls } = layout;
+  const start = { ...puzzle.playerStart };
+  const K = anchors.length;
+  const finalA = anchors.find(a => a.n === K);
+  const listeners = new Map();       // type -> Set(fn)
+
+  let trail, visitedCells, won;      // [{x,y}] ordered path; distinct coverage ("x,y"); game over
+  let moves;                         // one-cell trail steps, replayable with replayMoves()
+  let history;                       // action log (see game.history)
+  let undoStack, redoStack;          // applied changes: { removed, added, covered }
+  let hints;                         // hints shown this game (see hints.js)
+  let deadEnds = [];                 // assist: issues found after the last action
+
+  function emit(type, detail) { for (const fn of listeners.get(type) ?? []) fn(detail); }
+  function on(type, fn) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(fn);
+    return () => off(type, fn);
+  }
+  function off(type, fn) { listeners.get(type)?.delete(fn); }
+
+  function getCellNumber(x, y) { return anchorsMap.get(keyOf(x, y)) ?? null; }
+  function numbersFirstOrder() {
+    // First-visit order of numbers along the current trail.
+    const seen = new Set();
+    const order = [];
+    for (const p of trail) {
+      const n = getCellNumber(p.x, p.y);
+      if (n != null && !seen.has(n)) { seen.add(n); order.push(n); }
+    }
+    return order;
+  }
+  function nextRequiredNumber() {
+    const seen = new Set(numbersFirstOrder());
+    for (let n = 1; n <= K; n++) if (!seen.has(n)) return n;
+    return null; // all collected at least once
+  }
+
+  function reset() {
+    trail = [{ ...start }];
+    visitedCells = new Set([ keyOf(start.x, start.y) ]);
+    won = false;
+    moves = [];
+    history = [];
+    undoStack = []; redoStack = [];
+    hints = 0;
+    deadEnds = [];
+  }
+
+  function isImmediateBack(nx, ny) {
+    if (trail.length < 2) return false;
+    const prev = trail[trail.length - 2];
+    return prev.x === nx && prev.y === ny;
+  }
+  function reject(kind, from, to) {
+    const res = { ok: false, kind, from, to };
+    emit("blocked", res);
+    return res;
+  }
+
+  // Pop `n` cells off the trail, then append `cells`, logging each one-cell step
+  // in `moves`. Returns the change; `covered` = cells walked for the first time.
+  function retrace(n, cells) {
+    const removed = trail.slice(trail.length - n), covered = [];
+    for (; n > 0; n--) { moves.push(dirBetween(trail[trail.length - 1], trail[trail.length - 2])); trail.pop(); }
+    for (const c of cells) {
+      moves.push(dirBetween(trail[trail.length - 1], c));
+      trail.push({ ...c });
+      const k = keyOf(c.x, c.y);
+      if (!visitedCells.has(k)) { visitedCells.add(k); covered.push(k); }
+    }
+    return { removed, added: cells.map(c => ({ ...c })), covered };
+  }
+  // Record an applied action, announce it, then check for the win.
+  function applied(kind, from, change, entry) {
+    history.push(entry);
+    if (entry.type !== "undo" && entry.type !== "redo") { undoStack.push(change); redoStack = []; }
+    if (assist) deadEnds = findDeadEnds(layout, trail);
+    const res = { ok: true, kind, from, to: { ...trail[trail.length - 1] } };
+    emit("step", res);
+    checkWin();
+    return res;
+  }
+
+  function move(dir) {
+    const from = { ...trail[trail.length - 1] };
+    if (won) return reject("over", from, from);
+    const [dx, dy] = DIRS[dir] ?? [0, 0];
+    const to = { x: from.x + dx, y: from.y + dy };
+    const blocked = (kind) => { history.push({ type: "move", dir, kind }); return reject(kind, from, to); };
+
+    // bounds + walls
+    if (to.x < 0 || to.y < 0 || to.x >= cols || to.y >= rows || (dx === 0 && dy === 0)) return blocked("outside");
+    if (blockedByWall(walls, from.x, from.y, to.x, to.y)) return blocked("wall");
+
+    // If target already in trail: allow ONLY immediate previous cell backdraw
+    if (trail.some(p => p.x === to.x && p.y === to.y)) {
+      if (!isImmediateBack(to.x, to.y)) return blocked("revisit");
+      // Pop last segment; keep visitedCells as-is (coverage credit remains)
+      return applied("back", from, retrace(1, []), { type: "move", dir, kind: "back" });
+    }
+
+    // Forward move — append to trail and track distinct coverage
+    return applied("forward", from, retrace(0, [to]), { type: "move", dir, kind: "forward" });
+  }
+
+  // ----- Win condition -----
+  function checkWin() {
+    // A) full coverage: REQUIRE the current trail to include EVERY cell (no lingering visited credit)
+    const walkedAll = trail.length === cols * rows;
+    if (won || !walkedAll) return;
+    // B) numbers first-visit order is 1..K (derived from the current trail)
+    const order = numbersFirstOrder();
+    const visitedInOrder = order.length === K && order.every((n, i) => n === i + 1);
+    // C) standing on the last number's cell
+    const last = trail[trail.length - 1];
+    const atGoal = last.x === finalA.x && last.y === finalA.y;
+
+    if (visitedInOrder && atGoal) {
+      won = true;
+      emit("win", { trail: trail.map(p => ({ ...p })), hints });
+    }
+  }
+
+  // Cut back to an earlier trail cell. Logged in `moves` as the equivalent run of
+  // one-step backdraws, so replayMoves() replays it unchanged; coverage credit
+  // stays, as for "back".
+  function truncateTo(x, y) {
+    const from = { ...trail[trail.length - 1] };
+    const to = { x, y };
+    if (won) return reject("over", from, to);
+    const at = trail.findIndex(p => p.x === x && p.y === y);
+    const kind = at < 0 ? "not-on-trail" : at === trail.length - 1 ? "at-end" : null;
+    if (kind) {
+      history.push({ type: "truncate", x, y, kind });
+      return reject(kind, from, to);
+    }
+    return applied("truncate", from, retrace(trail.length - 1 - at, []), { type: "truncate", x, y, kind: "truncate" });
+  }
+
+  // Undo/redo re-walk the trail (so `moves` stays replayable); coverage gained
+  // by an undone step is taken back.
+  function undo() {
+    const from = { ...trail[trail.length - 1] };
+    if (won) return reject("over", from, from);
+    const change = undoStack.pop();
+    if (!change) return reject("empty", from, from);
+    retrace(change.added.length, change.removed);
+    for (const k of change.covered) visitedCells.delete(k);
+    redoStack.push(change);
+    return applied("undo", from, change, { type: "undo" });
+  }
+  function redo() {
+    const from = { ...trail[trail.length - 1] };
+    if (won) return reject("over", from, from);
+    const change = redoStack.pop();
+    if (!change) return reject("empty", from, from);
+    retrace(change.removed.length, change.added);
+    undoStack.push(change);
+    return applied("redo", from, change, { type: "redo" });
+  }
+
+  function setAssist(on) {
+    assist = !!on;
+    deadEnds = (assist && !won) ? findDeadEnds(layout, trail) : [];
+  }
+  function recordHint(status) {
+    hints++;
+    history.push({ type: "hint", status });
+  }
+
+  reset();
+  return {
+    puzzle, layout,
+    get state() {
+      return {
+        player: { ...trail[trail.length - 1] },
+        trail: trail.map(p => ({ ...p })),
+        visited: new Set(visitedCells),
+        nextRequired: nextRequiredNumber(),
+        won,
+        moves: [...moves],
+        canUndo: !won && undoStack.length > 0,
+        canRedo: !won && redoStack.length > 0,
+        hints,
+        deadEnds: deadEnds.map(d => ({ ...d }))
+      };
+    },
+    get player() { return { ...trail[trail.length - 1] }; },
+    get trail() { return trail.map(p => ({ ...p })); },
+    get nextRequired() { return nextRequiredNumber(); },
+    get won() { return won; },
+    get deadEnds() { return deadEnds.map(d => ({ ...d })); },
+    get history() { return history.map(e => ({ ...e })); },
+    getCellNumber, move, truncateTo, undo, redo, recordHint, setAssist, reset, on, off
+  };
+}
+
+// Re-run a move list from the start under the same rules (used by the server to
+// validate submitted scores). Valid only if every move is legal and the last
+// one completes the puzzle. Returns { valid, reason? }.
+export function replayMoves(puzzle, moves) {
+  const game = createGame(puzzle);
+  let won = false;
+  game.on("win", () => { won = true; });
+  for (let i = 0; i < moves.length; i++) {
+    if (won) return { valid: false, reason: `moves continue after the win (move ${i + 1})` };
+    const res = game.move(moves[i]);
+    if (!res.ok) return { valid: false, reason: `illegal move ${i + 1} (${moves[i]}: ${res.kind})` };
+  }
+  return won ? { valid: true } : { valid: false, reason: "puzzle not completed" };
+}
@@ -0,0 +1,221 @@
+// ================================
+// Connex — layout generator
+// Randomized snake + rotated labels + optional shortcut walls, verified by the
+// solver. DOM-free and synchronous: the page runs it inside worker.js.
+// ================================
+import { createRng, randomSeed } from './rng.js';
+import { buildRandomSnakePath, shuffleArray } from './templates.js';
+import { keyOf, createLayout, wallKeyBetween } from './layout.js';
+import { searchSolutions } from './solver.js';
+import { rateDifficulty, rateSearch, tierRange, RATE_CHECK_NODES } from './difficulty.js';
+import { getMode, generationOptions } from './modes.js';
+
+// Solver budgets for generation, in search nodes rather than ms (see searchSolutions)
+export const SOLVE_CHECK_NODES   = 100_000;  // a definite yes/no on boards up to 8×8, most 10×10 ones
+export const UNIQUE_CHECK_NODES  = 200_000;  // per uniqueness probe (one per added anchor/wall)
+export const MAX_ATTEMPTS = 200;            // for 6×6; scaled with the area (see attemptsFor)
+export const BAND_TRIES = 25;               // off-band solvable boards before settling for the closest; for 6×6, scaled with the area
+export const GENERATION_NODES = 1_000_000;  // all solver work for one 6×6 board (checks, uniqueness, ratings); scaled with the area (see nodesFor)
+
+// Fewer random layouts pass the solver as the board grows, and each check costs
+// more, so bigger boards get more tries and a budget to match
+const areaScale = (def) => Math.max(1, (def.cols * def.rows) / 36);
+export function attemptsFor(def) {
+  return Math.ceil(MAX_ATTEMPTS * areaScale(def));
+}
+export function nodesFor(def) {
+  return Math.ceil(GENERATION_NODES * areaScale(def));
+}
+
+// ---------- Walls ----------
+function buildShortcutWallsFromSnake(snake, cols, rows, wallPct, rng) {
+  const walls = new Set();
+  // Add walls only on edges that are NOT consecutive on the snake (block shortcuts)
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      if (x < cols - 1) {
+        const a = keyOf(x, y), b = keyOf(x+1, y);
+        const i = snake.findIndex(s => keyOf(s.x, s.y) === a);
+        const j = snake.findIndex(s => keyOf(s.x, s.y) === b);
+        const consecutive = Math.abs(i - j) === 1;
+        if (!consecutive && rng() < wallPct) walls.add(`${x},${y}|right`);
+      }
+      if (y < rows - 1) {
+        const a = keyOf(x, y), b = keyOf(x, y+1);
+        const i = snake.findIndex(s => keyOf(s.x, s.y) === a);
+        const j = snake.findIndex(s => keyOf(s.x, s.y) === b);
+        const consecutive = Math.abs(i - j) === 1;
+        if (!consecutive && rng() < wallPct) walls.add(`${x},${y}|down`);
+      }
+    }
+  }
+  return walls;
+}
+
+// ---------- Anchors picking (spacing; no fixed ends) ----------
+function pickIndicesWithMinGap(len, K, minGap, rng) {
+  // Shuffle pool [0..len-1]
+  const pool = Array.from({ length: len }, (_, i) => i);
+  shuffleArray(pool, rng);
+  const picks = [];
+  for (const idx of pool) {
+    if (picks.length === K) break;
+    if (picks.every(p => Math.abs(p - idx) >= minGap)) picks.push(idx);
+  }
+  // If spacing too strict, fill remaining positions anyway
+  let fill = 0;
+  while (picks.length < K && fill < pool.length) {
+    if (!picks.includes(pool[fill])) picks.push(pool[fill]);
+    fill++;
+  }
+  // Sort so anchors are placed along the path order
+  return picks.sort((a, b) => a - b);
+}
+
+// ---------- Label rotation ----------
+// The grid is a checkerboard, and a path that covers it alternates colours, so
+// its ends are on different colours when the cell count is even and both on
+// the majority colour (that of 0,0) when it is odd. Walls only remove edges,
+// so a start/goal pair that breaks this can never be solved.
+function endsMatchParity(cols, rows, a, b) {
+  const ca = (a.x + a.y) & 1, cb = (b.x + b.y) & 1;
+  return (cols * rows) % 2 === 0 ? ca !== cb : ca === 0 && cb === 0;
+}
+// Rotation that puts "1" on anchor `shift` and the last number on the anchor
+// just before it; one rng draw among the rotations that pass the parity check.
+// Past ALONG_SNAKE_CELLS cells the numbers run along the snake (shift 0) when
+// its parity allows: on those boards a rotated numbering is almost never
+// solvable, and proving that took most of the solver budget.
+const ALONG_SNAKE_CELLS = 64;
+function pickLabelShift(points, cols, rows, rng) {
+  const K = points.length;
+  const ok = [];
+  for (let s = 0; s < K; s++) if (endsMatchParity(cols, rows, points[s], points[(s - 1 + K) % K])) ok.push(s);
+  const r = rng();
+  if (cols * rows > ALONG_SNAKE_CELLS && ok[0] === 0) return 0;
+  return ok.length ? ok[Math.floor(r * ok.length)] : Math.floor(r * K);
+}
+
+// ---------- Uniqueness (tighten a layout until exactly one solution remains) ----------
+// Renumber anchors along `path` after marking `cells` as extra anchors. `path` is
+// a solution, so existing anchors keep their relative order, 1 stays the start
+// and the last number stays on the goal.
+function insertAnchorsAlong(layout, path, cells) {
+  const marked = new Set(cells.map(c => keyOf(c.x, c.y)));
+  for (const a of layout.anchors) marked.add(keyOf(a.x, a.y));
+  layout.anchors = []; layout.anchorsMap.clear();
+  for (const p of path) {
+    if (!marked.has(keyOf(p.x, p.y))) continue;
+    const n = layout.anchors.length + 1;
+    layout.anchors.push({ x: p.x, y: p.y, n });
+    layout.anchorsMap.set(keyOf(p.x, p.y), n);
+  }
+}
+// Take the first solution as the reference and find a second one; at the first
+// cell where they part, either wall the edge the second takes (the reference
+// never uses it) or anchor both cells they step onto, which the two paths then
+// visit in opposite order. Each edit removes at least one rival solution while
+// the reference stays valid. Mutates `layout`; returns true once uniqueness is proven.
+// `budget` ({ nodes }, optional) is a shared allowance the probes draw down.
+export function constrainToUniqueSolution(layout, start, goal, { useWalls, maxEdits = 24, maxNodes = UNIQUE_CHECK_NODES, budget = { nodes: Infinity } } = {}) {
+  for (let edit = 0; edit <= maxEdits; edit++) {
+    const res = searchSolutions(layout, start.x, start.y, goal.x, goal.y, { cap: 2, collect: 2, timeBudgetMs: Infinity, maxNodes: Math.min(maxNodes, budget.nodes) });
+    budget.nodes -= res.nodes;
+    if (res.count === 1 && res.exhausted) return true;
+    if (res.count < 2 || edit === maxEdits) return false; // budget ran out: uniqueness unproven
+    const [ref, alt] = res.solutions;
+    let i = 1;
+    while (ref[i].x === alt[i].x && ref[i].y === alt[i].y) i++;
+    if (useWalls) layout.walls.add(wallKeyBetween(ref[i - 1], alt[i]));
+    else insertAnchorsAlong(layout, ref, [ref[i], alt[i]]);
+  }
+  return false;
+}
+
+// ---------- Generation ----------
+// def: a mode entry ({ key, cols, rows, K, minGap, wallPct, difficulty, templateWeights, templateOptions }).
+// opts.seed reproduces a layout (random seed if omitted); opts.template picks the
+// snake template (an unknown id throws, see buildRandomSnakePath); opts.unique
+// adds anchors (no-wall modes) or walls until the board has exactly one
+// solution; opts.difficulty is the tier the rated board must land in (default
+// def.difficulty, null = any).
+// onProgress({ attempt, maxAttempts, stage, detail }) reports each attempt, stage being
+// "searching" | "bad-path" (the template built no Hamiltonian path; detail says
+// which template, size and why) | "unsolvable" | "uncertain" (solver budget ran
+// out) | "not-unique" | "too-easy" | "too-hard".
+// Returns a savedLayout-shaped object with difficulty: { score, tier }. When
+// BAND_TRIES solvable boards (scaled with the area; or all attempts, or
+// opts.maxNodes of solver work in all, default nodesFor(def)) miss the band it
+// returns the closest of them, so its tier may differ from the one asked for;
+// null if none was solvable.
+export function generateLayout(def, opts = {}, onProgress = () => {}) {
+  const { seed = randomSeed(), template = 'auto', unique = false, difficulty = def.difficulty, maxNodes = nodesFor(def) } = opts;
+  const rng = createRng(seed);
+  const maxAttempts = attemptsFor(def), bandTries = Math.ceil(BAND_TRIES * areaScale(def));
+  const report = (attempt, stage, detail) => onProgress({ attempt, maxAttempts, stage, detail });
+  const band = difficulty ? tierRange(difficulty, def.cols * def.rows) : null;
+  const budget = { nodes: maxNodes };
+  let closest = null, offBand = 0;   // closest: { board, miss }, the best off-band board so far
+
+  for (let attempt = 1; attempt <= maxAttempts && budget.nodes > 0; attempt++) {
+    report(attempt, "searching");
+
+    const built = buildRandomSnakePath(def.cols, def.rows, template, rng, def.templateWeights, def.templateOptions);
+    if (built.error) { report(attempt, "bad-path", `${built.template} ${def.cols}×${def.rows}: ${built.error}`); continue; }
+    const { snake } = built;
+
+    const Knum = def.K;
+    const idxs = pickIndicesWithMinGap(snake.length, Knum, def.minGap, rng);
+    const shift = pickLabelShift(idxs.map(i => snake[i]), def.cols, def.rows, rng); // rotate labels so "1" starts at a random anchor (see pickLabelShift)
+
+    const anchors = [];
+    for (let j = 0; j < Knum; j++) {
+      const { x, y } = snake[idxs[j]];
+      anchors.push({ x, y, n: ((j - shift + Knum) % Knum) + 1 }); // cyclic rotation: 1..K along path
+    }
+    const walls = buildShortcutWallsFromSnake(snake, def.cols, def.rows, def.wallPct ?? 0, rng);
+    const layout = createLayout({ cols: def.cols, rows: def.rows, anchors, walls });
+
+    const startA = anchors.find(a => a.n === 1);
+    const finalA = anchors.find(a => a.n === Knum);
+    const start = { x: startA.x, y: startA.y }, goal = { x: finalA.x, y: finalA.y };
+
+    const check = searchSolutions(layout, start.x, start.y, goal.x, goal.y, { timeBudgetMs: Infinity, maxNodes: Math.min(SOLVE_CHECK_NODES, budget.nodes) });
+    budget.nodes -= check.nodes;
+    if (!check.count) { report(attempt, check.exhausted ? "unsolvable" : "uncertain"); continue; }
+    if (unique && !constrainToUniqueSolution(layout, start, goal, { useWalls: (def.wallPct ?? 0) > 0, budget })) { report(attempt, "not-unique"); continue; }
+
+    const board = {
+      mode: def.key ?? "level", cols: def.cols, rows: def.rows,
+      playerStart: start, goalPos: goal,
+      anchors: layout.anchors.map(a => ({ ...a })), walls: Array.from(layout.walls),
+      template, seed, unique
+    };
+    // Without uniqueness edits the board is the one just checked, and that search is the rating's
+    let rating = rateSearch(check, def.cols * def.rows);
+    if (unique) {
+      const rateNodes = Math.min(RATE_CHECK_NODES, budget.nodes);
+      rating = rateDifficulty(board, { maxNodes: rateNodes });
+      budget.nodes -= rating ? rating.metrics.nodes : rateNodes;
+      if (!rating) { report(attempt, "uncertain"); continue; }
+    }
+    board.difficulty = { score: rating.score, tier: rating.tier };
+    if (!band) return board;
+    const miss = rating.score < band[0] ? band[0] - rating.score : rating.score >= band[1] ? rating.score - band[1] + 1 : 0;
+    if (!miss) return board;
+    report(attempt, rating.score < band[0] ? "too-easy" : "too-hard");
+    if (!closest || miss < closest.miss) closest = { board, miss };
+    if (++offBand >= bandTries) break;
+  }
+  return closest?.board ?? null;
+}
+
+// One-shot puzzle for a mode key (or def): { mode, seed, template, unique, date }
+// as for generationOptions. Throws if no solvable layout turns up.
+export function createPuzzle({ mode = "zip", ...opts } = {}) {
+  const def = (typeof mode === "string") ? getMode(mode) : mode;
+  if (!def) throw new Error(`Unknown mode: ${mode}`);
+  const layout = generateLayout(def, generationOptions(def, opts));
+  if (!layout) throw new Error(`Couldn't generate a solvable ${def.label} layout within the solver budget`);
+  return layout;
+}
@@ -0,0 +1,50 @@
+// ================================
+// Connex — hints
+// Continue the solver from the player's current trail: either the next stretch
+// of a solution, or how far back to retract when the trail is a dead end.
+// ================================
+import { keyOf, createLayout } from './layout.js';
+import { searchSolutions } from './solver.js';
+
+export const HINT_CHECK_NODES = 200_000;   // per solver probe
+
+// Cells of `solution` from index `from` up to and including the next numbered cell
+function segmentToNextNumber(layout, solution, from) {
+  const seg = [];
+  for (let i = from; i < solution.length; i++) {
+    seg.push({ ...solution[i] });
+    if (layout.anchorsMap.has(keyOf(solution[i].x, solution[i].y))) break;
+  }
+  return seg;
+}
+
+// findHint(puzzle, trail) — puzzle is savedLayout-shaped, trail the game trail
+// (starting at playerStart). Returns one of
+//   { status: "next", path }               the trail can be finished; path = next cells
+//   { status: "retract", to, cut, path }   dead end; cut `cut` cells back to `to`, then follow path
+//   { status: "unknown" }                  the solver ran out of budget
+export function findHint(puzzle, trail, { maxNodes = HINT_CHECK_NODES } = {}) {
+  const layout = createLayout(puzzle);
+  const { x: sx, y: sy } = puzzle.playerStart, { x: gx, y: gy } = puzzle.goalPos;
+  const probe = (len) => searchSolutions(layout, sx, sy, gx, gy, { prefix: trail.slice(0, len), collect: 1, timeBudgetMs: Infinity, maxNodes });
+
+  const res = probe(trail.length);
+  if (res.count) return { status: "next", path: segmentToNextNumber(layout, res.solutions[0], trail.length) };
+  if (!res.exhausted) return { status: "unknown" };
+
+  // Dead end. Every shorter prefix of a completable trail is completable too,
+  // so binary-search the longest one that still is.
+  let lo = 1, hi = trail.length - 1, best = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const r = probe(mid);
+    if (r.count) { best = { len: mid, solution: r.solutions[0] }; lo = mid + 1; }
+    else if (r.exhausted) hi = mid - 1;
+    else return { status: "unknown" };
+  }
+  if (!best) return { status: "unknown" };
+  return {
+    status: "retract", to: { ...trail[best.len - 1] }, cut: trail.length - best.len,
+    path: segmentToNextNumber(layout, best.solution, best.len)
+  };
+}
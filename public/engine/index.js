@@ -0,0 +1,20 @@
+// ================================
+// Connex engine — public surface (DOM-free; works in the browser and in Node)
+//   import { createPuzzle, createGame } from './engine/index.js';
+//   const game = createGame(createPuzzle({ mode: "expert", seed: "abc" }));
+//   game.on("win", () => ...); game.move("right"); game.state.trail;
+// ================================
+export { MODES, getMode, sizedMode, BOARD_SIZES, MIN_BOARD_SIDE, MAX_BOARD_SIDE, generationOptions, puzzleId, parsePuzzleId } from './modes.js';
+export { createRng, randomSeed, dailySeed, utcDay } from './rng.js';
+export { keyOf, createLayout, blockedByWall, wallKeyBetween, normalizeSavedLayout } from './layout.js';
+export { buildRandomSnakePath, snakePathError, buildBackbitePath, BACKBITE_MIXING, registerTemplate, listTemplates, getTemplate } from './templates.js';
+export { searchSolutions, isLayoutSolvable, countSolutions } from './solver.js';
+export { generateLayout, constrainToUniqueSolution, createPuzzle } from './generator.js';
+export { rateDifficulty, tierFor, tierRange, DIFFICULTY_TIERS } from './difficulty.js';
+export { createGame, replayMoves, DIRS } from './game.js';
+export { findHint } from './hints.js';
+export { findDeadEnds } from './deadends.js';
+export { legalMoves, describePosition, describeBoard } from './describe.js';
+export { encodePuzzle, decodePuzzle, SHARE_VERSION } from './share.js';
+export { encodeSave, decodeSave, resumeGame, SAVE_VERSION } from './savegame.js';
+export { emptyStats, decodeStats, startGame, finishGame, summarizeStats, dailyResults, dailyStreak, shiftDay, STATS_VERSION } from './stats.js';
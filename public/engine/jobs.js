@@ -0,0 +1,38 @@
+// ================================
+// Connex — background jobs
+// The message protocol spoken by worker.js; also run directly on the main
+// thread when module workers are unavailable (older TV browsers).
+//   { type: "generate", def, opts } -> { layout }  (savedLayout shape, or null)
+//   { type: "verify", layout, timeBudgetMs } -> { ok, difficulty }
+//   { type: "check", layout, timeBudgetMs } -> { solvable, solutions, exact, difficulty }  (editor: solvable + unique?)
+//   difficulty: { score, tier } (see difficulty.js), null when not solvable
+//   { type: "hint", puzzle, trail } -> { hint }  (see hints.js)
+// ================================
+import { generateLayout } from './generator.js';
+import { createLayout } from './layout.js';
+import { isLayoutSolvable, countSolutions } from './solver.js';
+import { findHint } from './hints.js';
+import { rateDifficulty } from './difficulty.js';
+
+function ratingOf(saved) {
+  const r = rateDifficulty(saved);
+  return r && { score: r.score, tier: r.tier };
+}
+
+export function runJob(msg, onProgress = () => {}) {
+  if (msg.type === "generate") return { layout: generateLayout(msg.def, msg.opts, onProgress) };
+  if (msg.type === "verify") {
+    const { playerStart: s, goalPos: g } = msg.layout;
+    const ok = isLayoutSolvable(createLayout(msg.layout), s.x, s.y, g.x, g.y, msg.timeBudgetMs ?? 2000);
+    return { ok, difficulty: ok ? ratingOf(msg.layout) : null };
+  }
+  if (msg.type === "check") {
+    const { playerStart: s, goalPos: g } = msg.layout;
+    const layout = createLayout(msg.layout), timeBudgetMs = msg.timeBudgetMs ?? 2000;
+    if (!isLayoutSolvable(layout, s.x, s.y, g.x, g.y, timeBudgetMs)) return { solvable: false, solutions: 0, exact: false, difficulty: null };
+    const { count, exact } = countSolutions(layout, s.x, s.y, g.x, g.y, { cap: 2, timeBudgetMs });
+    return { solvable: true, solutions: count, exact, difficulty: ratingOf(msg.layout) };
+  }
+  if (msg.type === "hint") return { hint: findHint(msg.puzzle, msg.trail) };
+  throw new Error(`Unknown job type: ${msg.type}`);
+}
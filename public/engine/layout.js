@@ -0,0 +1,93 @@
+// ================================
+// Connex — layout model
+// A layout is { cols, rows, anchors: [{x,y,n}], walls: Set("x,y|right" | "x,y|down"),
+// anchorsMap: Map("x,y" -> n) }. Saved/serialized layouts use the savedLayout
+// shape instead (walls as an array, plus playerStart/goalPos/mode/template/seed).
+// ================================
+import { MAX_BOARD_SIDE, getMode } from './modes.js';
+import { getTemplate } from './templates.js';
+
+export function keyOf(x, y) { return `${x},${y}`; }
+
+// Index a plain { cols, rows, anchors, walls } (walls: array or Set) for fast lookups.
+export function createLayout({ cols, rows, anchors = [], walls = [] }) {
+  const layout = { cols, rows, anchors: anchors.map(a => ({ ...a })), anchorsMap: new Map(), walls: new Set(walls) };
+  for (const a of layout.anchors) layout.anchorsMap.set(keyOf(a.x, a.y), a.n);
+  return layout;
+}
+
+export function blockedByWall(walls, x0, y0, nx, ny) {
+  const dx = nx - x0, dy = ny - y0;
+  if      (dx === 1 && dy === 0) return walls.has(`${x0},${y0}|right`);
+  else if (dx === -1 && dy === 0) return walls.has(`${nx},${ny}|right`);
+  else if (dx === 0 && dy === 1)  return walls.has(`${x0},${y0}|down`);
+  else if (dx === 0 && dy === -1) return walls.has(`${nx},${ny}|down`);
+  return false;
+}
+
+// Wall key for the edge between two orthogonally adjacent cells.
+export function wallKeyBetween(a, b) {
+  if (b.x === a.x + 1) return `${a.x},${a.y}|right`;
+  if (a.x === b.x + 1) return `${b.x},${b.y}|right`;
+  if (b.y === a.y + 1) return `${a.x},${a.y}|down`;
+  return `${b.x},${b.y}|down`;
+}
+
+// ---------- savedLayout validation (imports, hand-made boards) ----------
+// The template a layout names: a registered id, "auto" (the weighted pick) or
+// "custom" (a hand-made board).
+export function isLayoutTemplate(id) {
+  return id === "auto" || id === "custom" || getTemplate(id) !== null;
+}
+
+// The mode a cols×rows layout names, or "custom" if that mode is unknown or
+// its boards are another size (the size picker, target time and leaderboard
+// all go by the mode).
+export function layoutMode(mode, cols, rows) {
+  const def = getMode(mode);
+  return def && def.cols === cols && def.rows === rows ? mode : "custom";
+}
+
+// Structural check of a savedLayout-shaped object. Returns a normalized copy
+// (anchors in number order, start/goal taken from numbers 1 and K, a mode that
+// doesn't match the size turned into "custom", see layoutMode) or throws
+// Error("Bad layout: ..."). Whether it can be solved is the solver's call.
+// Sides run from 2 to MAX_BOARD_SIDE, as in the editor and share codes.
+export function normalizeSavedLayout(saved) {
+  const fail = (why) => { throw new Error(`Bad layout: ${why}`); };
+  if (!saved || typeof saved !== "object") fail("not an object");
+  const { cols, rows } = saved;
+  const inRange = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+  if (!inRange(cols, 2, MAX_BOARD_SIDE) || !inRange(rows, 2, MAX_BOARD_SIDE)) fail(`bad size ${cols}×${rows}`);
+
+  if (!Array.isArray(saved.anchors)) fail("anchors missing");
+  const anchors = saved.anchors.map(a => ({ x: a?.x, y: a?.y, n: a?.n })).sort((a, b) => a.n - b.n);
+  const K = anchors.length;
+  if (K < 2) fail("need at least 2 numbers");
+  const cells = new Set();
+  anchors.forEach((a, i) => {
+    if (!inRange(a.x, 0, cols - 1) || !inRange(a.y, 0, rows - 1)) fail(`number ${a.n} is off the board`);
+    if (a.n !== i + 1) fail(`numbers must run 1..${K}`);
+    if (cells.has(keyOf(a.x, a.y))) fail(`two numbers on ${keyOf(a.x, a.y)}`);
+    cells.add(keyOf(a.x, a.y));
+  });
+
+  if (saved.walls != null && !Array.isArray(saved.walls)) fail("walls must be a list");
+  const walls = [...new Set(saved.walls ?? [])];
+  for (const w of walls) {
+    const m = typeof w === "string" ? /^(\d+),(\d+)\|(right|down)$/.exec(w) : null;
+    if (!m) fail(`bad wall ${JSON.stringify(w)}`);
+    const x = +m[1], y = +m[2];
+    if (m[3] === "right" ? (x >= cols - 1 || y >= rows) : (x >= cols || y >= rows - 1)) fail(`wall "${w}" is off the board`);
+  }
+
+  if (saved.template && !isLayoutTemplate(saved.template)) fail(`unknown template "${saved.template}"`);
+
+  const first = anchors[0], last = anchors[K - 1];
+  return {
+    mode: layoutMode(saved.mode, cols, rows), cols, rows,
+    playerStart: { x: first.x, y: first.y }, goalPos: { x: last.x, y: last.y },
+    anchors, walls,
+    template: saved.template || "custom", seed: saved.seed ?? null, unique: !!saved.unique
+  };
+}
@@ -0,0 +1,71 @@
+// ================================
+// Connex — modes (one dropdown entry each)
+// Tuned for 6×6; other board sizes are derived modes keyed "<mode>@<cols>x<rows>"
+// (e.g. "expert@8x8") that scale K, minGap and the target time (see sizedMode).
+// K, minGap and wallPct shape the candidates; `difficulty` (a tier key from
+// difficulty.js, null = any) is the band the solver-rated board must land in.
+// Optional templateWeights ({ templateId: weight }) overrides the registry's
+// default "auto" mix for the mode, and templateOptions ({ templateId: { ... } })
+// goes to those templates' builders, e.g. { backbite: { mixing: 4 } } (see templates.js).
+// ================================
+import { randomSeed, dailySeed, utcDay } from './rng.js';
+
+export const MODES = [
+  { key: "daily",    name: "Daily",    label: "Daily (6×6)",     kind: "daily", cols: 6, rows: 6, K: 12, minGap: 3, wallPct: 0.04, targetMs: 60_000, difficulty: "medium" },
+  { key: "zip",      name: "Zip",      label: "Zip 6×6 (12)",    kind: "zip",   cols: 6, rows: 6, K: 12, minGap: 2, wallPct: 0.00, targetMs: 60_000, difficulty: null },
+  { key: "beginner", name: "Beginner", label: "Beginner (6×6)",  kind: "level", cols: 6, rows: 6, K: 14, minGap: 2, wallPct: 0.00, targetMs: 45_000, difficulty: "easy" },
+  { key: "standard", name: "Standard", label: "Standard (6×6)",  kind: "level", cols: 6, rows: 6, K: 12, minGap: 3, wallPct: 0.04, targetMs: 60_000, difficulty: "medium" },
+  { key: "advanced", name: "Advanced", label: "Advanced (6×6)",  kind: "level", cols: 6, rows: 6, K: 12, minGap: 5, wallPct: 0.08, targetMs: 75_000, difficulty: "hard" },
+  { key: "expert",   name: "Expert",   label: "Expert (6×6)",    kind: "level", cols: 6, rows: 6, K: 12, minGap: 7, wallPct: 0.12, targetMs: 90_000, difficulty: "expert" }
+];
+
+// ---------- Board sizes ----------
+// [cols, rows] offered in the size dropdown; getMode accepts any size in range.
+// Sides stop at 10: past that the generator's budget (see nodesFor) no longer
+// finds a board on its tier reliably.
+export const BOARD_SIZES = [[4, 4], [5, 5], [6, 6], [7, 7], [8, 8], [9, 9], [10, 10], [5, 7], [6, 8], [7, 10], [8, 10]];
+export const MIN_BOARD_SIDE = 4, MAX_BOARD_SIDE = 10;
+
+// A mode scaled to cols×rows: K grows a little slower than the area (so big
+// boards don't turn into join-the-dots), minGap keeps its ratio to the average
+// spacing between numbers, and the target time grows with the area. Daily
+// stays 6×6.
+export function sizedMode(def, cols, rows) {
+  if (def.kind === "daily" || (cols === def.cols && rows === def.rows)) return def;
+  const baseCells = def.cols * def.rows, cells = cols * rows;
+  const K = Math.max(3, Math.min(Math.floor(cells / 2), Math.round(def.K * (cells / baseCells) ** 0.8)));
+  const spacing = (cells / K) / (baseCells / def.K);
+  return {
+    ...def, key: `${def.key}@${cols}x${rows}`, base: def.key,
+    label: `${def.name} (${cols}×${rows})`, cols, rows, K,
+    minGap: Math.max(1, Math.round(def.minGap * spacing)),
+    targetMs: Math.max(15_000, Math.round(def.targetMs * cells / baseCells / 5000) * 5000)
+  };
+}
+
+export function getMode(key) {
+  const m = /^([a-z]+)@(\d+)x(\d+)$/.exec(key ?? "");
+  if (!m) return MODES.find(d => d.key === key) ?? null;
+  const def = MODES.find(d => d.key === m[1]);
+  const cols = +m[2], rows = +m[3];
+  const inRange = (v) => v >= MIN_BOARD_SIDE && v <= MAX_BOARD_SIDE;
+  if (!def || def.kind === "daily" || !inRange(cols) || !inRange(rows)) return null;
+  return sizedMode(def, cols, rows);
+}
+
+// Generator options for a mode. Daily pins seed (UTC date), template,
+// uniqueness and difficulty so everyone gets the same board; other modes take
+// the caller's choices (difficulty: a tier key, null = any, default the mode's).
+export function generationOptions(def, { seed, template, unique, difficulty, date } = {}) {
+  if (def.kind === "daily") return { seed: dailySeed(date), template: "auto", unique: true, difficulty: def.difficulty, date: utcDay(date) };
+  return { seed: seed ?? randomSeed(), template: template ?? "auto", unique: unique ?? false, difficulty: difficulty === undefined ? def.difficulty : difficulty };
+}
+
+// Stable id for a generated board: everything createPuzzle needs to rebuild it.
+export function puzzleId({ mode, seed, template = "auto", unique = false }) {
+  return [mode, template, unique ? "u" : "s", seed].join(":");
+}
+export function parsePuzzleId(id) {
+  const [mode, template, u, ...seed] = String(id).split(":");
+  return { mode, template, unique: u === "u", seed: seed.join(":") };
+}
@@ -0,0 +1,31 @@
+// ================================
+// Connex — seeded RNG
+// Every generator draws from an rng() passed in, never Math.random(), so one seed
+// (e.g. the UTC date for Daily) reproduces the same layout on every device.
+// ================================
+
+export function hashSeed(str) {
+  // xmur3-style string hash -> 32-bit unsigned
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+export function createRng(seed) {
+  // mulberry32: small, fast, good enough for layouts; returns floats in [0, 1)
+  let a = (typeof seed === "number") ? (seed >>> 0) : hashSeed(String(seed));
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+export function randomSeed() { return Math.floor(Math.random() * 2 ** 32).toString(36); }
+export function utcDay(date = new Date()) { return date.toISOString().slice(0, 10); } // "YYYY-MM-DD"
+export function dailySeed(date = new Date()) { return `daily-${utcDay(date)}`; }
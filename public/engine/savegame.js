@@ -0,0 +1,62 @@
+// ================================
+// Connex — saved games (resume after a reload or a suspended TV app)
+// A game in progress as a JSON-ready object; the page keeps it in localStorage.
+// Version 2:
+//   { v: 2, savedAt, mode, layout, moves, hints, elapsedMs, statsId }
+//   mode: the HUD mode key (MODES key, unsized); layout: the savedLayout;
+//   moves: game.state.moves; hints: the status of every hint shown, in order;
+//   statsId: the game's entry in the stats log (stats.js), null if none yet.
+// Version 1 had no statsId. Older versions are upgraded through MIGRATIONS;
+// anything else is dropped.
+// ================================
+import { normalizeSavedLayout } from './layout.js';
+import { createGame } from './game.js';
+
+export const SAVE_VERSION = 2;
+
+// v -> fn(save of version v) giving a save of version v + 1
+const MIGRATIONS = {
+  1: (save) => ({ ...save, v: 2, statsId: null })
+};
+
+export function encodeSave({ mode, layout, game, elapsedMs, statsId = null }) {
+  return {
+    v: SAVE_VERSION, savedAt: Date.now(), mode, layout,
+    moves: game.state.moves,
+    hints: game.history.filter(h => h.type === "hint").map(h => h.status),
+    elapsedMs: Math.max(0, Math.round(elapsedMs)),
+    statsId
+  };
+}
+
+// A stored save (parsed JSON) upgraded to SAVE_VERSION, or null if it is
+// malformed (a layout normalizeSavedLayout rejects, e.g. on a template that is
+// no longer registered), from a newer version, or from one with no migration path.
+export function decodeSave(raw) {
+  let save = raw;
+  if (!save || typeof save !== "object" || !Number.isInteger(save.v)) return null;
+  while (save.v < SAVE_VERSION) {
+    const up = MIGRATIONS[save.v];
+    if (!up) return null;
+    save = up(save);
+  }
+  if (save.v !== SAVE_VERSION) return null;
+  let layout;
+  try { layout = { ...normalizeSavedLayout(save.layout), difficulty: save.layout.difficulty ?? null }; }
+  catch { return null; }
+  const moves = Array.isArray(save.moves) ? save.moves : null;
+  const hints = Array.isArray(save.hints) ? save.hints : [];
+  if (!moves || typeof save.mode !== "string" || !Number.isFinite(save.elapsedMs)) return null;
+  const statsId = Number.isInteger(save.statsId) ? save.statsId : null;
+  return { ...save, layout, moves, hints, statsId };
+}
+
+// A game on save.layout with the saved moves and hints replayed, or null if a
+// move no longer applies (or the saved game was already won).
+export function resumeGame(save, opts) {
+  const game = createGame(save.layout, opts);
+  for (const dir of save.moves) if (!game.move(dir).ok) return null;
+  if (game.state.won) return null;
+  for (const status of save.hints) game.recordHint(status);
+  return game;
+}
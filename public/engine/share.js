@@ -0,0 +1,108 @@
+// ================================
+// Connex — share codes
+// A savedLayout packed into a short base64url string for links (#p=<code>).
+// Version 1 layout (bytes):
+//   [1, cols, rows, flags, K, anchor cells..., wall bits..., mode, template, seed]
+//   flags: bit 0 = unique. Anchor cells are y*cols+x in number order (2 bytes
+//   each when the board has more than 256 cells). Wall bits: every "right" edge,
+//   then every "down" edge, row by row. Strings are length-prefixed UTF-8 and
+//   may be empty (hand-made boards have no seed).
+// ================================
+import { keyOf, isLayoutTemplate, layoutMode } from './layout.js';
+import { MAX_BOARD_SIDE } from './modes.js';
+
+export const SHARE_VERSION = 1;
+
+function toBase64Url(bytes) {
+  let s = "";
+  for (const b of bytes) s += String.fromCharCode(b);
+  return btoa(s).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function fromBase64Url(str) {
+  const fail = () => { throw new Error("Bad puzzle code: not base64url"); };
+  if (!/^[A-Za-z0-9_-]+$/.test(str)) fail();
+  let s;
+  try { s = atob(str.replace(/-/g, "+").replace(/_/g, "/")); }
+  catch { fail(); }   // e.g. a length no base64 string can have
+  return Uint8Array.from(s, c => c.charCodeAt(0));
+}
+
+// Every wall slot in a fixed order: right edges, then down edges
+function wallSlots(cols, rows) {
+  const slots = [];
+  for (let y = 0; y < rows; y++) for (let x = 0; x < cols - 1; x++) slots.push(`${x},${y}|right`);
+  for (let y = 0; y < rows - 1; y++) for (let x = 0; x < cols; x++) slots.push(`${x},${y}|down`);
+  return slots;
+}
+
+export function encodePuzzle(saved) {
+  const { cols, rows } = saved;
+  const wide = cols * rows > 256;
+  const anchors = [...saved.anchors].sort((a, b) => a.n - b.n);
+  const walls = new Set(saved.walls);
+  const bytes = [SHARE_VERSION, cols, rows, saved.unique ? 1 : 0, anchors.length];
+  for (const a of anchors) {
+    const i = a.y * cols + a.x;
+    if (wide) bytes.push(i >> 8);
+    bytes.push(i & 0xff);
+  }
+  const slots = wallSlots(cols, rows);
+  for (let i = 0; i < slots.length; i += 8) {
+    let b = 0;
+    for (let j = 0; j < 8 && i + j < slots.length; j++) if (walls.has(slots[i + j])) b |= 1 << j;
+    bytes.push(b);
+  }
+  const enc = new TextEncoder();
+  for (const str of [saved.mode, saved.template, saved.seed]) {
+    const s = enc.encode(str ?? "").slice(0, 255);
+    bytes.push(s.length, ...s);
+  }
+  return toBase64Url(bytes);
+}
+
+// Inverse of encodePuzzle: a savedLayout, or throws Error("Bad puzzle code: ...").
+// Checks the structure only; whether the board is solvable is the solver's call.
+// A mode that doesn't match the board size comes back as "custom" (see layoutMode).
+export function decodePuzzle(code) {
+  const bytes = fromBase64Url(String(code).trim());
+  let at = 0;
+  const fail = (why) => { throw new Error(`Bad puzzle code: ${why}`); };
+  const next = () => (at < bytes.length ? bytes[at++] : fail("truncated"));
+
+  const version = next();
+  if (version !== SHARE_VERSION) fail(`unsupported version ${version}`);
+  const cols = next(), rows = next(), flags = next(), K = next();
+  if (cols < 2 || rows < 2 || cols > MAX_BOARD_SIDE || rows > MAX_BOARD_SIDE) fail(`bad size ${cols}×${rows}`);
+  if (K < 2 || K > cols * rows) fail(`bad number count ${K}`);
+
+  const wide = cols * rows > 256;
+  const anchors = [], seen = new Set();
+  for (let n = 1; n <= K; n++) {
+    const i = wide ? (next() << 8) | next() : next();
+    const x = i % cols, y = Math.floor(i / cols);
+    if (y >= rows || seen.has(keyOf(x, y))) fail("bad number cell");
+    seen.add(keyOf(x, y));
+    anchors.push({ x, y, n });
+  }
+  const slots = wallSlots(cols, rows), walls = [];
+  for (let i = 0; i < slots.length; i += 8) {
+    const b = next();
+    for (let j = 0; j < 8 && i + j < slots.length; j++) if (b & (1 << j)) walls.push(slots[i + j]);
+  }
+  const dec = new TextDecoder();
+  const [mode, template, seed] = [0, 1, 2].map(() => {
+    const len = next();
+    if (at + len > bytes.length) fail("truncated");
+    return dec.decode(bytes.subarray(at, at += len));
+  });
+  if (at !== bytes.length) fail("trailing data");
+  if (template && !isLayoutTemplate(template)) fail(`unknown template "${template}"`);
+
+  const first = anchors[0], last = anchors[K - 1];
+  return {
+    mode: layoutMode(mode, cols, rows), cols, rows,
+    playerStart: { x: first.x, y: first.y }, goalPos: { x: last.x, y: last.y },
+    anchors, walls,
+    template: template || "custom", seed: seed || null, unique: !!(flags & 1)
+  };
+}
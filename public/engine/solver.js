@@ -0,0 +1,200 @@
+// ================================
+// Connex — solver (Hamiltonian path + numbers-in-order)
+// Cells are integer indices (y*cols + x) over typed arrays. The search keeps a
+// count of free neighbours per cell as it walks, which catches most dead ends
+// in O(1); a flood fill per node covers the rest.
+// ================================
+import { blockedByWall } from './layout.js';
+
+const DIRS4 = [[0,-1],[1,0],[0,1],[-1,0]];
+
+// ---------- Board compilation ----------
+// nbr[i*4 + d]: the cell reached from i in direction d (-1 off the board or
+// behind a wall); num[i]: the number on cell i (0 = none); at[n]: the cell of number n.
+function compile(layout) {
+  const { cols, rows, walls, anchorsMap } = layout;
+  const N = cols * rows, K = anchorsMap.size;
+  const nbr = new Int32Array(N * 4).fill(-1);
+  for (let y = 0; y < rows; y++) for (let x = 0; x < cols; x++) {
+    DIRS4.forEach(([dx, dy], d) => {
+      const nx = x + dx, ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= cols || ny >= rows || blockedByWall(walls, x, y, nx, ny)) return;
+      nbr[(y * cols + x) * 4 + d] = ny * cols + nx;
+    });
+  }
+  const num = new Int32Array(N), at = new Int32Array(K + 2).fill(-1);
+  for (const [k, n] of anchorsMap) {
+    const [x, y] = k.split(",").map(Number);
+    num[y * cols + x] = n; at[n] = y * cols + x;
+  }
+  return { cols, N, K, nbr, num, at };
+}
+
+// ---------- Search ----------
+// Core search over `layout` (see layout.js): enumerates solutions up to opts.cap.
+//   opts.cap          stop after this many solutions (1 = plain solvability)
+//   opts.collect      keep up to this many solution paths ([{x,y}] start..goal)
+//   opts.timeBudgetMs / opts.maxNodes  give up after this much time / work
+//   opts.prefix       a partial path already walked ([{x,y}], starting at the
+//                     start cell); the search continues from its last cell and
+//                     solutions include it. No solution if it takes numbers out of order.
+// Returns { count, exhausted, solutions, nodes, stats }; exhausted = the whole
+// search space was covered, so count is exact (otherwise it is a lower bound).
+// stats measures the effort (see difficulty.js): { forced, decisions,
+// backtracks, maxBacktrack } = cells with one legal move, cells with a choice,
+// wrong branches abandoned, and the most cells walked down a wrong branch.
+// Pruning only drops branches without solutions, so counts stay exact:
+//   - parity: the grid is a checkerboard and the path alternates colours
+//   - forced moves: a free neighbour of the head with at most one other way
+//     out must be entered now (two such neighbours: dead end)
+//   - connectivity: every unwalked cell reachable from the head
+//   - order: the next number reachable without stepping on another number
+export function searchSolutions(layout, startX, startY, goalX, goalY, opts = {}) {
+  const { cap = 1, collect = 0, timeBudgetMs = 200, maxNodes = Infinity, prefix = [{ x: startX, y: startY }] } = opts;
+  // maxNodes caps the search by work done instead of wall time, so seeded generation
+  // reaches the same verdict on a fast laptop and a slow TV box.
+  const { cols, N, K, nbr, num, at } = compile(layout);
+  const goal = goalY * cols + goalX;
+  const stats = { forced: 0, decisions: 0, backtracks: 0, maxBacktrack: 0 };
+  const result = { count: 0, exhausted: false, solutions: [], nodes: 0, stats };
+  const impossible = () => { result.exhausted = true; return result; };
+
+  const visited = new Uint8Array(N);
+  const free = new Uint8Array(N);        // unwalked open neighbours of each cell
+  for (let i = 0; i < N; i++) for (let d = 0; d < 4; d++) if (nbr[i * 4 + d] >= 0) free[i]++;
+  const path = new Int32Array(N);
+  let len = 0, deepest = 0;               // deepest: longest path so far in the current branch
+  let next = 1;                          // next number to walk; K + 1 once all are walked
+
+  function visit(i) {
+    visited[i] = 1; path[len++] = i;
+    if (len > deepest) deepest = len;
+    for (let d = 0; d < 4; d++) { const j = nbr[i * 4 + d]; if (j >= 0) free[j]--; }
+  }
+  function unvisit(i) {
+    visited[i] = 0; len--;
+    for (let d = 0; d < 4; d++) { const j = nbr[i * 4 + d]; if (j >= 0) free[j]++; }
+  }
+
+  // Walk the prefix: numbers on it must come in order (the start can only be 1)
+  for (const p of prefix) {
+    const i = p.y * cols + p.x;
+    if (visited[i]) return impossible();
+    visit(i);
+    if (num[i]) { if (num[i] !== next) return impossible(); next = num[i] + 1; }
+  }
+  const head = path[len - 1];
+  if (head === goal && len < N) return impossible(); // the goal ends the path
+
+  // Root checks. Parity: the remaining cells alternate colours starting with the
+  // colour after the head's and ending on the goal. Degrees: a cell away from
+  // the head needs two ways in (the goal one); later steps keep this true
+  // through the forced-move rule.
+  const colour = (i) => ((i % cols) + ((i / cols) | 0)) & 1;
+  const left = N - len, h = colour(head);
+  let other = 0;
+  for (let i = 0; i < N; i++) if (!visited[i] && colour(i) !== h) other++;
+  if (other !== Math.ceil(left / 2)) return impossible();
+  if (left > 0 && colour(goal) !== (left % 2 ? 1 - h : h)) return impossible();
+  const nearHead = new Set();
+  for (let d = 0; d < 4; d++) nearHead.add(nbr[head * 4 + d]);
+  for (let i = 0; i < N; i++) {
+    if (visited[i] || nearHead.has(i)) continue;
+    if (free[i] < (i === goal ? 1 : 2)) return impossible();
+  }
+
+  const deadline = performance.now() + timeBudgetMs;
+  let aborted = false;
+  const done = () => aborted || result.count >= cap;
+
+  // Flood fills: marks from the current `stamp` mean "seen this fill"
+  const seen = new Uint32Array(N), queue = new Int32Array(N);
+  let stamp = 0;
+  function fill(from, pass) {
+    stamp++;
+    let qt = 0;
+    for (let d = 0; d < 4; d++) {
+      const j = nbr[from * 4 + d];
+      if (j >= 0 && !visited[j] && pass(j)) { seen[j] = stamp; queue[qt++] = j; }
+    }
+    for (let qh = 0; qh < qt; qh++) {
+      const i = queue[qh];
+      for (let d = 0; d < 4; d++) {
+        const j = nbr[i * 4 + d];
+        if (j >= 0 && !visited[j] && seen[j] !== stamp && pass(j)) { seen[j] = stamp; queue[qt++] = j; }
+      }
+    }
+    return qt;
+  }
+  const any = () => true;
+  function reachable(from) {
+    if (fill(from, any) !== N - len) return false;
+    if (next > K) return true;
+    const target = at[next];
+    fill(from, (j) => num[j] === 0 || j === target);
+    return seen[target] === stamp;
+  }
+
+  function record() {
+    result.count++;
+    if (result.solutions.length < collect) {
+      const sol = [];
+      for (let k = 0; k < len; k++) sol.push({ x: path[k] % cols, y: (path[k] / cols) | 0 });
+      result.solutions.push(sol);
+    }
+  }
+
+  function dfs(cell) {
+    if (++result.nodes > maxNodes || ((result.nodes & 255) === 0 && performance.now() > deadline)) { aborted = true; return; }
+    if (len === N) { if (cell === goal && next > K) record(); return; }
+    if (!reachable(cell)) return;
+
+    // Candidate moves: a forced neighbour if there is one, else every free one
+    let moves = [];
+    let forced = -1;
+    for (let d = 0; d < 4; d++) {
+      const j = nbr[cell * 4 + d];
+      if (j < 0 || visited[j]) continue;
+      if (free[j] < (j === goal ? 1 : 2)) { if (forced >= 0) return; forced = j; }
+      moves.push(j);
+    }
+    if (forced >= 0) moves = [forced];
+    moves = moves.filter(j => (num[j] === 0 || num[j] === next) && (j !== goal || len === N - 1));
+    if (moves.length === 1) stats.forced++;
+    else if (moves.length > 1) stats.decisions++;
+    // next number first, then the cells with the fewest ways out
+    moves.sort((a, b) => (num[b] === next) - (num[a] === next) || free[a] - free[b]);
+
+    for (const j of moves) {
+      if (done()) return;
+      const before = next, found = result.count, outer = deepest;
+      visit(j);
+      if (num[j]) next++;
+      deepest = len;
+      dfs(j);
+      if (result.count === found && !aborted) {
+        stats.backtracks++;
+        stats.maxBacktrack = Math.max(stats.maxBacktrack, deepest - len + 1);
+      }
+      deepest = Math.max(outer, deepest);
+      next = before;
+      unvisit(j);
+    }
+  }
+
+  dfs(head);
+  result.exhausted = !aborted && result.count < cap;
+  return result;
+}
+
+// `prefix` (optional): continue from a partial path instead of the bare start cell.
+export function isLayoutSolvable(layout, startX, startY, goalX, goalY, timeBudgetMs = 200, maxNodes = Infinity, prefix = undefined) {
+  return searchSolutions(layout, startX, startY, goalX, goalY, { cap: 1, timeBudgetMs, maxNodes, prefix }).count > 0;
+}
+
+// Count solutions up to `cap` (default 2 — enough to tell unique from not).
+// Returns { count, exact }: exact is false when the budget ran out first.
+export function countSolutions(layout, startX, startY, goalX, goalY, { cap = 2, timeBudgetMs = 2000, maxNodes = Infinity } = {}) {
+  const res = searchSolutions(layout, startX, startY, goalX, goalY, { cap, timeBudgetMs, maxNodes });
+  return { count: res.count, exact: res.exhausted || res.count >= cap };
+}
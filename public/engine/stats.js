@@ -0,0 +1,121 @@
+// ================================
+// Connex — player statistics
+// A log of games, one entry per game started (first move on a board), closed
+// when it is won; the page keeps it in localStorage. Everything shown on the
+// stats screen is summarized from the log.
+// Version 1:
+//   { v: 1, nextId, games: [{ id, mode, template, day, startedAt, won, ms, star, backsteps, hints }] }
+//   mode / template: the savedLayout's (sized mode key, template as picked);
+//   day: the UTC date ("YYYY-MM-DD") of a daily, null for other modes.
+//   ms, star, backsteps, hints: set on the win (backsteps = cells taken back).
+// ================================
+import { utcDay } from './rng.js';
+
+export const STATS_VERSION = 1;
+export const STATS_MAX_GAMES = 2000;   // oldest entries are dropped past this
+
+export function emptyStats() { return { v: STATS_VERSION, nextId: 1, games: [] }; }
+
+// Stored stats (parsed JSON) as version STATS_VERSION; an empty log if
+// malformed or from a version this build doesn't know. Entries the summaries
+// can't read (no mode, template or start time, a win without its time or
+// backsteps) are dropped.
+export function decodeStats(raw) {
+  if (!raw || raw.v !== STATS_VERSION || !Array.isArray(raw.games) || !Number.isInteger(raw.nextId)) return emptyStats();
+  const games = raw.games.filter(g => g && Number.isInteger(g.id) && typeof g.mode === "string" &&
+    typeof g.template === "string" && Number.isFinite(g.startedAt) &&
+    (!g.won || (Number.isFinite(g.ms) && Number.isFinite(g.backsteps))));
+  return { v: STATS_VERSION, nextId: raw.nextId, games };
+}
+
+// Log a game start; returns its id for finishGame
+export function startGame(stats, { mode, template, day = null, at = Date.now() }) {
+  const id = stats.nextId++;
+  stats.games.push({ id, mode, template: template ?? "custom", day, startedAt: at, won: false });
+  if (stats.games.length > STATS_MAX_GAMES) stats.games.splice(0, stats.games.length - STATS_MAX_GAMES);
+  return id;
+}
+
+// Close a started game as won; false if it isn't in the log (any more)
+export function finishGame(stats, id, { ms, star, backsteps, hints }) {
+  const game = stats.games.find(g => g.id === id);
+  if (!game || game.won) return false;
+  Object.assign(game, { won: true, ms: Math.round(ms), star: !!star, backsteps, hints });
+  return true;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b), mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// One row per mode + template, sorted by mode then template:
+//   { mode, template, started, won, bestMs, medianMs, starRate, streak, longestStreak, avgBacksteps }
+// A streak is a run of won games; an unfinished game ends it unless it is
+// `openId`, the one still being played.
+export function summarizeStats(stats, { openId = null } = {}) {
+  const groups = new Map();
+  for (const g of stats.games) {
+    const key = `${g.mode}\n${g.template}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(g);
+  }
+  const rows = [];
+  for (const games of groups.values()) {
+    const won = games.filter(g => g.won);
+    let streak = 0, longestStreak = 0;
+    for (const g of games) {
+      if (g.won) longestStreak = Math.max(longestStreak, ++streak);
+      else if (g.id !== openId) streak = 0;
+    }
+    rows.push({
+      mode: games[0].mode, template: games[0].template,
+      started: games.length, won: won.length,
+      bestMs: won.length ? Math.min(...won.map(g => g.ms)) : null,
+      medianMs: median(won.map(g => g.ms)),
+      starRate: won.length ? won.filter(g => g.star).length / won.length : null,
+      streak, longestStreak,
+      avgBacksteps: won.length ? won.reduce((sum, g) => sum + g.backsteps, 0) / won.length : null
+    });
+  }
+  return rows.sort((a, b) => a.mode.localeCompare(b.mode) || a.template.localeCompare(b.template));
+}
+
+// ---------- Dailies ----------
+// Daily results by UTC day: Map day -> { day, played, solved, onTheDay, bestMs }
+// (onTheDay: solved in a game started that day rather than from the archive)
+export function dailyResults(stats) {
+  const days = new Map();
+  for (const g of stats.games) {
+    if (!g.day) continue;
+    const d = days.get(g.day) ?? { day: g.day, played: 0, solved: false, onTheDay: false, bestMs: null };
+    d.played++;
+    if (g.won) {
+      d.solved = true;
+      d.onTheDay ||= utcDay(new Date(g.startedAt)) === g.day;
+      d.bestMs = d.bestMs == null ? g.ms : Math.min(d.bestMs, g.ms);
+    }
+    days.set(g.day, d);
+  }
+  return days;
+}
+
+export function shiftDay(day, n) { return utcDay(new Date(Date.parse(`${day}T00:00:00Z`) + n * 86_400_000)); }
+
+// Runs of consecutive days whose daily was solved on the day: { current, longest }.
+// The current run counts back from `today`, or from the day before while
+// today's daily is still open.
+export function dailyStreak(stats, today = utcDay()) {
+  const solved = new Set([...dailyResults(stats).values()].filter(d => d.onTheDay).map(d => d.day));
+  let current = 0;
+  for (let d = solved.has(today) ? today : shiftDay(today, -1); solved.has(d); d = shiftDay(d, -1)) current++;
+  let longest = 0;
+  for (const day of solved) {
+    if (solved.has(shiftDay(day, -1))) continue;   // not the first day of a run
+    let run = 0;
+    for (let d = day; solved.has(d); d = shiftDay(d, 1)) run++;
+    longest = Math.max(longest, run);
+  }
+  return { current, longest };
+}
@@ -0,0 +1,531 @@
+// ================================
+// Connex — snake templates
+// Each builder returns a Hamiltonian path [{x,y}] over a cols×rows grid and
+// is listed in the template registry (see registerTemplate), which
+// buildRandomSnakePath picks from (weighted or by id) before randomly orienting the path.
+// snakePathError checks a path; scripts/check-templates.js runs it over every
+// template and size.
+// ================================
+
+const DIRS4 = [[0,-1],[1,0],[0,1],[-1,0]];
+
+// ---------- Path building (randomized snake) ----------
+export function buildSnakePathBase(cols, rows) {
+  const path = [];
+  for (let y = 0; y < rows; y++) {
+    if (y % 2 === 0) for (let x = 0; x < cols; x++) path.push({ x, y });
+    else             for (let x = cols - 1; x >= 0; x--) path.push({ x, y });
+  }
+  return path;
+}
+function rotatePoint(p, rot, cols, rows) {
+  const { x, y } = p;
+  switch (rot % 4) {
+    case 0:  return { x, y };                                             // 0°
+    case 1:  return { x: y, y: cols - 1 - x };                            // 90°
+    case 2:  return { x: cols - 1 - x, y: rows - 1 - y };                 // 180°
+    case 3:  return { x: rows - 1 - y, y: x };                            // 270°
+  }
+}
+// small in-place shuffle
+export function shuffleArray(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+}
+
+// DFS-style Hamiltonian path generator (backtracking with Warnsdorff-like heuristic)
+export function buildDFSHamiltonian(cols, rows, rng) {
+  const total = cols * rows;
+  const dirs = [[0,-1],[1,0],[0,1],[-1,0]];
+
+  function neighbors(x, y, visited) {
+    const out = [];
+    for (const [dx, dy] of dirs) {
+      const nx = x + dx, ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+      if (!visited[ny][nx]) out.push({ x: nx, y: ny });
+    }
+    return out;
+  }
+
+  const maxAttempts = 8;
+  const stepBudget = 20_000; // per attempt; counted in steps (not ms) so a seed gives the same path on any device
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const visited = Array.from({ length: rows }, () => Array(cols).fill(false));
+    const path = [];
+
+    // choose a random start
+    const sx = Math.floor(rng() * cols);
+    const sy = Math.floor(rng() * rows);
+
+    let found = false;
+    let steps = 0;
+
+    function dfs(x, y) {
+      if (++steps > stepBudget || found) return;
+      visited[y][x] = true; path.push({ x, y });
+      if (path.length === total) { found = true; return; }
+
+      // neighbors with Warnsdorff heuristic (fewest onward moves first)
+      let neigh = neighbors(x, y, visited);
+      // randomize then sort to break ties
+      shuffleArray(neigh, rng);
+      neigh.sort((a, b) => neighbors(a.x, a.y, visited).length - neighbors(b.x, b.y, visited).length);
+
+      for (const n of neigh) {
+        if (found || steps > stepBudget) break;
+        dfs(n.x, n.y);
+      }
+
+      if (!found) { visited[y][x] = false; path.pop(); }
+    }
+
+    dfs(sx, sy);
+    if (found && path.length === total) return path;
+  }
+
+  // fallback: failed to build a DFS Hamiltonian within attempts/steps
+  return null;
+}
+
+export function buildSpiralSnakePath(cols, rows) {
+  const path = [];
+  let left = 0, top = 0, right = cols - 1, bottom = rows - 1;
+  while (left <= right && top <= bottom) {
+    for (let x = left; x <= right; x++) path.push({ x, y: top });
+    for (let y = top + 1; y <= bottom; y++) path.push({ x: right, y });
+    if (top < bottom) for (let x = right - 1; x >= left; x--) path.push({ x, y: bottom });
+    if (left < right) for (let y = bottom - 1; y > top; y--) path.push({ x: left, y });
+    left++; right--; top++; bottom--;
+  }
+  return path;
+}
+
+export function buildColumnSnakePath(cols, rows) {
+  const path = [];
+  for (let x = 0; x < cols; x++) {
+    if (x % 2 === 0) for (let y = 0; y < rows; y++) path.push({ x, y });
+    else for (let y = rows - 1; y >= 0; y--) path.push({ x, y });
+  }
+  return path;
+}
+
+// Walks `guide` (every cell, in the order a template would like) as closely as a
+// Hamiltonian path allows: depth-first from its first cell (on an odd×odd board
+// the first of the majority colour), always trying the unwalked neighbour that
+// comes earliest in the guide. A branch is dropped when a cell other than the
+// head's neighbours has no way in, or more than one has a single way in (only the
+// last cell may), when the colours left can't alternate, or when the unwalked
+// cells split up. null if stepBudget runs out (steps, so a size always gives
+// the same verdict).
+function followGuide(cols, rows, guide, stepBudget = 2_000) {
+  const N = cols * rows;
+  const rank = new Int32Array(N), visited = new Uint8Array(N), seen = new Uint8Array(N);
+  guide.forEach(({ x, y }, i) => { rank[y * cols + x] = i; });
+  const colour = (i) => ((i % cols) + Math.floor(i / cols)) & 1;
+  function neighbors(i) {
+    const x = i % cols, y = Math.floor(i / cols), out = [];
+    for (const [dx, dy] of DIRS4) {
+      const nx = x + dx, ny = y + dy;
+      if (nx >= 0 && ny >= 0 && nx < cols && ny < rows && !visited[ny * cols + nx]) out.push(ny * cols + nx);
+    }
+    return out;
+  }
+  function promising(head, next) {
+    let ends = 0, other = 0, left = 0;
+    for (let i = 0; i < N; i++) {
+      if (visited[i]) continue;
+      left++;
+      if (colour(i) !== colour(head)) other++;
+      if (next.includes(i)) continue;
+      const ways = neighbors(i).length;
+      if (ways === 0 || (ways === 1 && ++ends > 1)) return false;
+    }
+    if (other !== Math.ceil(left / 2)) return false;
+    seen.fill(0);
+    const queue = [next[0]];
+    seen[next[0]] = 1;
+    for (let q = 0; q < queue.length; q++) for (const j of neighbors(queue[q])) if (!seen[j]) { seen[j] = 1; queue.push(j); }
+    return queue.length === left;
+  }
+
+  const path = [];
+  let steps = 0, found = false;
+  function dfs(i) {
+    if (++steps > stepBudget) return;
+    visited[i] = 1; path.push(i);
+    if (path.length === N) { found = true; return; }
+    const next = neighbors(i);
+    if (next.length && promising(i, next)) {
+      next.sort((a, b) => rank[a] - rank[b]);
+      for (const j of next) { dfs(j); if (found || steps > stepBudget) return; }
+    }
+    visited[i] = 0; path.pop();
+  }
+  const start = guide.find(({ x, y }) => N % 2 === 0 || (x + y) % 2 === 0);
+  dfs(start.y * cols + start.x);
+  return found ? path.map(i => ({ x: i % cols, y: Math.floor(i / cols) })) : null;
+}
+
+// Staircase lanes `width` anti-diagonals wide (the cells with x + y from
+// k*width to k*width + width - 1), each walked column by column from its
+// bottom-left end, every other lane backwards. Their ends don't meet, so the
+// builders follow them with followGuide, forwards or else backwards.
+function diagonalLanes(cols, rows, width) {
+  const order = [];
+  for (let k = 0; k * width <= cols + rows - 2; k++) {
+    const lane = [];
+    for (let x = 0; x < cols; x++) for (let s = k * width + width - 1; s >= k * width; s--) {
+      if (s - x >= 0 && s - x < rows) lane.push({ x, y: s - x });
+    }
+    order.push(...(k % 2 ? lane.reverse() : lane));
+  }
+  return order;
+}
+function followLanes(cols, rows, width) {
+  const guide = diagonalLanes(cols, rows, width);
+  return followGuide(cols, rows, guide) ?? followGuide(cols, rows, guide.reverse());
+}
+
+export function buildDiagonalSnakePath(cols, rows) { return followLanes(cols, rows, 2); }
+export function buildDiagonalStripesPath(cols, rows) { return followLanes(cols, rows, 4); }
+
+export function buildCenterSpiralPath(cols, rows) {
+  const total = cols * rows;
+  const visited = Array.from({ length: rows }, () => Array(cols).fill(false));
+  const path = [];
+  let x = Math.floor((cols - 1) / 2), y = Math.floor((rows - 1) / 2);
+  visited[y][x] = true; path.push({ x, y });
+  const dirs = [[1,0],[0,1],[-1,0],[0,-1]];
+  let len = 1;
+  while (path.length < total) {
+    for (let d = 0; d < 4 && path.length < total; d++) {
+      for (let step = 0; step < len && path.length < total; step++) {
+        x += dirs[d][0]; y += dirs[d][1];
+        if (x >= 0 && y >= 0 && x < cols && y < rows && !visited[y][x]) {
+          visited[y][x] = true; path.push({ x, y });
+        }
+      }
+      if (d % 2 === 1) len++;
+    }
+  }
+  return path;
+}
+
+export function buildRingsPath(cols, rows) {
+  const path = [];
+  const layers = Math.ceil(Math.min(cols, rows) / 2);
+  for (let layer = 0; layer < layers; layer++) {
+    const left = layer, top = layer, right = cols - 1 - layer, bottom = rows - 1 - layer;
+    const ring = [];
+    if (top <= bottom && left <= right) {
+      for (let x = left; x <= right; x++) ring.push({ x, y: top });
+      for (let y = top + 1; y <= bottom; y++) ring.push({ x: right, y });
+      if (bottom > top) for (let x = right - 1; x >= left; x--) ring.push({ x, y: bottom });
+      if (left < right) for (let y = bottom - 1; y > top; y--) ring.push({ x: left, y });
+    }
+    if (!ring.length) continue;
+    if (!path.length) { path.push(...ring); }
+    else {
+      const last = path[path.length - 1];
+      let idx = ring.findIndex(p => Math.abs(p.x - last.x) + Math.abs(p.y - last.y) === 1);
+      if (idx === -1) {
+        ring.reverse(); idx = ring.findIndex(p => Math.abs(p.x - last.x) + Math.abs(p.y - last.y) === 1);
+      }
+      if (idx !== -1) {
+        const rotated = ring.slice(idx).concat(ring.slice(0, idx));
+        path.push(...rotated);
+      } else {
+        path.push(...ring);
+      }
+    }
+  }
+  return path;
+}
+
+// Bands of two rows, walked column by column (down one, up the next) and
+// alternately left to right and back; an odd last row is walked straight.
+// Each band has to end on its bottom row, so the column count must be odd.
+export function buildBlockSnakePath(cols, rows) {
+  const path = [];
+  for (let top = 0; top < rows; top += 2) {
+    const rightward = (top / 2) % 2 === 0;
+    for (let i = 0; i < cols; i++) {
+      const x = rightward ? i : cols - 1 - i;
+      if (top === rows - 1) path.push({ x, y: top });
+      else if (i % 2 === 0) path.push({ x, y: top }, { x, y: top + 1 });
+      else path.push({ x, y: top + 1 }, { x, y: top });
+    }
+  }
+  return path;
+}
+
+// The block path turned on its side: stripes of two columns walked row by row
+// (needs an odd row count).
+export function buildCheckerboardPath(cols, rows) {
+  return buildBlockSnakePath(rows, cols).map(({ x, y }) => ({ x: y, y: x }));
+}
+
+// Walks 2×2 tiles in `order` (tile coordinates, each tile a side neighbour of
+// the one before) once around each: in next to the previous tile, out at the
+// entry's tile neighbour on the side of the next one. Every cell has a tile
+// neighbour on each side of the tile, so any order of tiles works.
+function walkTiles(order) {
+  const path = [];
+  let entry = { x: order[0].x * 2, y: order[0].y * 2 };
+  order.forEach((tile, k) => {
+    const x0 = tile.x * 2, y0 = tile.y * 2, to = order[k + 1];
+    const ring = [{ x: x0, y: y0 }, { x: x0 + 1, y: y0 }, { x: x0 + 1, y: y0 + 1 }, { x: x0, y: y0 + 1 }];
+    const dx = to ? to.x - tile.x : 0, dy = to ? to.y - tile.y : 0;
+    const facesNext = ({ x, y }) => (dx ? x === x0 + (dx > 0) : y === y0 + (dy > 0));
+    const i = ring.findIndex(p => p.x === entry.x && p.y === entry.y);
+    const step = to && facesNext(ring[(i + 1) % 4]) ? 3 : 1;      // end on the ring neighbour facing the next tile
+    for (let s = 0; s < 4; s++) path.push(ring[(i + s * step) % 4]);
+    entry = { x: path[path.length - 1].x + dx, y: path[path.length - 1].y + dy };
+  });
+  return path;
+}
+
+// 2×2 tiles in rows of tiles, alternately left to right and back; the
+// 2×2 checkerboard takes the tiles in columns instead. Both need even sides.
+export function buildTileSnakePath(cols, rows) {
+  return walkTiles(buildSnakePathBase(cols / 2, rows / 2));
+}
+export function buildCheckerboard2x2Path(cols, rows) {
+  return walkTiles(buildColumnSnakePath(cols / 2, rows / 2));
+}
+
+// Grows out from the top-left corner in L-shaped shells (the cells with
+// max(x, y) = k), each walked end to end the other way from the one before.
+// On a rectangle the columns or rows past the square follow as a serpentine,
+// so the last shell is turned to end next to them.
+export function buildCornerSpiralPath(cols, rows) {
+  const n = Math.min(cols, rows), path = [];
+  for (let k = 0; k < n; k++) {
+    const fromTop = ((n - 1 - k) % 2 === 0) === (cols <= rows);   // (k,0) .. (0,k), else the reverse
+    const shell = [];
+    for (let y = 0; y < k; y++) shell.push({ x: k, y });
+    for (let x = k; x >= 0; x--) shell.push({ x, y: k });
+    path.push(...(fromTop ? shell : shell.reverse()));
+  }
+  for (let x = n; x < cols; x++) for (let i = 0; i < rows; i++) path.push({ x, y: (x - n) % 2 ? rows - 1 - i : i });
+  for (let y = n; y < rows; y++) for (let i = 0; i < cols; i++) path.push({ x: (y - n) % 2 ? cols - 1 - i : i, y });
+  return path;
+}
+
+// A pinwheel from a cell near the middle: four arms (above, right, below and
+// left of it), each filled with spokes that run out to the edge and back, the
+// arms in turn clockwise. Every arm has to end beside the next, which fixes the
+// parity of the hub's column and of the rows below it: the column count must be
+// even (an even row count turns the board on its side) and both sides at least 4.
+export function buildSpokesPath(cols, rows) {
+  if (cols % 2 && rows % 2 === 0) return buildSpokesPath(rows, cols).map(({ x, y }) => ({ x: y, y: x }));
+  const hx = Math.floor(cols / 2) & ~1;                 // even: the arm below gets an odd number of spokes
+  let hy = Math.floor((rows - 1) / 2);
+  if ((rows - hy) % 2 === 0) hy++;                       // and so does the arm on the right
+  const path = [{ x: hx, y: hy }];
+  for (let x = hx; x < cols; x++) for (let i = 0; i < hy; i++) path.push({ x, y: (x - hx) % 2 ? i : hy - 1 - i });
+  for (let y = hy; y < rows; y++) for (let i = 0; i < cols - 1 - hx; i++) path.push({ x: (y - hy) % 2 ? hx + 1 + i : cols - 1 - i, y });
+  for (let x = hx; x >= 0; x--) for (let i = 0; i < rows - 1 - hy; i++) path.push({ x, y: (hx - x) % 2 ? hy + 1 + i : rows - 1 - i });
+  for (let y = hy; y >= 0; y--) for (let i = 0; i < hx; i++) path.push({ x: (hy - y) % 2 ? hx - 1 - i : i, y });
+  return path;
+}
+
+export function buildPerimeterFirstPath(cols, rows) {
+  // Visit full perimeter frames outward->inward, stitching between frames.
+  const path = [];
+  const layers = Math.ceil(Math.min(cols, rows) / 2);
+  for (let layer = 0; layer < layers; layer++) {
+    const left = layer, top = layer, right = cols - 1 - layer, bottom = rows - 1 - layer;
+    const ring = [];
+    for (let x = left; x <= right; x++) ring.push({ x, y: top });
+    for (let y = top + 1; y <= bottom; y++) ring.push({ x: right, y });
+    if (bottom > top) for (let x = right - 1; x >= left; x--) ring.push({ x, y: bottom });
+    if (left < right) for (let y = bottom - 1; y > top; y--) ring.push({ x: left, y });
+    if (!ring.length) continue;
+    if (!path.length) { path.push(...ring); }
+    else {
+      // find adjacency and rotate ring to connect
+      const last = path[path.length - 1];
+      let idx = ring.findIndex(p => Math.abs(p.x - last.x) + Math.abs(p.y - last.y) === 1);
+      if (idx === -1) { ring.reverse(); idx = ring.findIndex(p => Math.abs(p.x - last.x) + Math.abs(p.y - last.y) === 1); }
+      if (idx !== -1) {
+        const rotated = ring.slice(idx).concat(ring.slice(0, idx));
+        path.push(...rotated);
+      } else {
+        path.push(...ring);
+      }
+    }
+  }
+  return path;
+}
+
+// Generalized Hilbert curve ("gilbert", after Jakub Červený): splits the
+// rectangle recursively into pieces whose entry and exit cells line up. Run
+// along the long side it needs one diagonal step when that side is odd and the
+// short one even; along the short side those boards come out clean.
+export function buildHilbertLikePath(cols, rows) {
+  const path = [];
+  // Fill the w×h block at (x, y) with `a` as the major direction and `b` the minor one
+  function rec(x, y, ax, ay, bx, by) {
+    const w = Math.abs(ax + ay), h = Math.abs(bx + by);
+    const dax = Math.sign(ax), day = Math.sign(ay), dbx = Math.sign(bx), dby = Math.sign(by);
+    if (h === 1) { for (let i = 0; i < w; i++, x += dax, y += day) path.push({ x, y }); return; }
+    if (w === 1) { for (let i = 0; i < h; i++, x += dbx, y += dby) path.push({ x, y }); return; }
+    let ax2 = Math.floor(ax / 2), ay2 = Math.floor(ay / 2), bx2 = Math.floor(bx / 2), by2 = Math.floor(by / 2);
+    if (2 * w > 3 * h) {
+      // long block: two halves side by side (even-length first half where possible)
+      if (Math.abs(ax2 + ay2) % 2 && w > 2) { ax2 += dax; ay2 += day; }
+      rec(x, y, ax2, ay2, bx, by);
+      rec(x + ax2, y + ay2, ax - ax2, ay - ay2, bx, by);
+    } else {
+      // up the first half of the minor side, along the whole major side, back down
+      if (Math.abs(bx2 + by2) % 2 && h > 2) { bx2 += dbx; by2 += dby; }
+      rec(x, y, bx2, by2, ax2, ay2);
+      rec(x + bx2, y + by2, ax, ay, bx - bx2, by - by2);
+      rec(x + (ax - dax) + (bx2 - dbx), y + (ay - day) + (by2 - dby), -bx2, -by2, -(ax - ax2), -(ay - ay2));
+    }
+  }
+  const long = Math.max(cols, rows), short = Math.min(cols, rows);
+  const alongCols = (cols >= rows) !== (long % 2 === 1 && short % 2 === 0);
+  if (alongCols) rec(0, 0, cols, 0, 0, rows);
+  else rec(0, 0, 0, rows, cols, 0);
+  return path;
+}
+
+// ---------- Backbite (random Hamiltonian paths) ----------
+// Markov chain over Hamiltonian paths. Each step picks an end of the path and
+// one of its grid neighbours; unless that is already the end's path neighbour,
+// it links the end to it and reverses the stretch in between. Started from the
+// serpentine, enough steps give a close-to-uniform sample on any rectangle, and
+// every step keeps the path valid, so unlike DFS it never fails.
+// Options: mixing (steps per cells², default BACKBITE_MIXING) or steps outright;
+// a mode sets them with templateOptions: { backbite: { mixing } }.
+export const BACKBITE_MIXING = 1;
+
+export function buildBackbitePath(cols, rows, rng, { mixing = BACKBITE_MIXING, steps = Math.round(mixing * (cols * rows) ** 2) } = {}) {
+  const N = cols * rows;
+  const path = new Int32Array(N), pos = new Int32Array(N);   // cell (y*cols+x) by path index, and back
+  buildSnakePathBase(cols, rows).forEach((p, i) => { path[i] = p.y * cols + p.x; pos[path[i]] = i; });
+  function reverse(a, b) {
+    for (; a < b; a++, b--) {
+      const t = path[a]; path[a] = path[b]; path[b] = t;
+      pos[path[a]] = a; pos[path[b]] = b;
+    }
+  }
+  for (let s = 0; s < steps; s++) {
+    const atHead = rng() < 0.5;
+    const end = atHead ? path[0] : path[N - 1];
+    const [dx, dy] = DIRS4[Math.floor(rng() * 4)];
+    const x = (end % cols) + dx, y = Math.floor(end / cols) + dy;
+    if (x < 0 || y < 0 || x >= cols || y >= rows) continue;
+    const i = pos[y * cols + x];
+    if (atHead) { if (i > 1) reverse(0, i - 1); }        // new head: the cell that came before the neighbour
+    else if (i < N - 2) reverse(i + 1, N - 1);          // new tail: the cell that came after it
+  }
+  return Array.from(path, c => ({ x: c % cols, y: Math.floor(c / cols) }));
+}
+
+// ---------- Validation ----------
+// Why `path` is not a Hamiltonian path over cols×rows (every cell once, each
+// step to a side neighbour), or null if it is.
+export function snakePathError(path, cols, rows) {
+  if (!Array.isArray(path)) return "not a path";
+  if (path.length !== cols * rows) return `${path.length} cells instead of ${cols * rows}`;
+  const seen = new Set();
+  for (let i = 0; i < path.length; i++) {
+    const { x, y } = path[i];
+    if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0 || x >= cols || y >= rows) return `(${x},${y}) is off the board`;
+    if (seen.has(y * cols + x)) return `(${x},${y}) visited twice`;
+    seen.add(y * cols + x);
+    const prev = path[i - 1];
+    if (prev && Math.abs(x - prev.x) + Math.abs(y - prev.y) !== 1) return `jump from (${prev.x},${prev.y}) to (${x},${y}) at step ${i}`;
+  }
+  return null;
+}
+
+// ---------- Template registry ----------
+// Builders register { id, label, weight, build, fits }:
+//   weight  share of the "auto" mix, relative to the others (0 = only when picked by id)
+//   build(cols, rows, rng, options) -> [{x,y}], or null to fall back to the serpentine;
+//           options: the template's entry in the caller's templateOptions ({} if none)
+//   fits(cols, rows) -> false for board sizes the builder can't cover (a valid
+//                       path is owed everywhere else; check-templates holds it to that)
+// Registration order is the dropdown order.
+const registry = new Map();
+
+export function registerTemplate({ id, label, weight = 0, build, fits = () => true }) {
+  registry.set(id, { id, label, weight, build, fits });
+}
+export function listTemplates() { return [...registry.values()]; }
+export function getTemplate(id) { return registry.get(id) ?? null; }
+
+// Weighted pick among the templates that fit; `weights` ({ id: weight }, e.g. a
+// mode's templateWeights) overrides the registered defaults
+function pickTemplate(cols, rows, rng, weights = {}) {
+  const pool = listTemplates()
+    .filter(t => t.fits(cols, rows))
+    .map(t => [t, weights[t.id] ?? t.weight])
+    .filter(([, w]) => w > 0);
+  const total = pool.reduce((sum, [, w]) => sum + w, 0);
+  let r = rng() * total;
+  for (const [t, w] of pool) if ((r -= w) < 0) return t;
+  return pool.length ? pool[pool.length - 1][0] : getTemplate("serpentine");
+}
+
+// Random rotation, flips, reversal. Quarter turns only on square boards: they
+// would swap the sides of a rectangle.
+function orient(snake, cols, rows, rng) {
+  let rot = Math.floor(rng() * 4);
+  if (cols !== rows) rot &= 2;
+  snake = snake.map(pt => rotatePoint(pt, rot, cols, rows));
+  if (rng() < 0.5) snake = snake.map(pt => ({ x: cols - 1 - pt.x, y: pt.y }));
+  if (rng() < 0.5) snake = snake.map(pt => ({ x: pt.x, y: rows - 1 - pt.y }));
+  if (rng() < 0.5) snake.reverse();
+  return snake;
+}
+
+// template: a registered id, or "auto" for a weighted pick (see pickTemplate).
+// options ({ templateId: { ... } }, e.g. a mode's templateOptions) go to that
+// template's builder. A template that doesn't fit the board, or whose builder
+// gives up (null), falls back to the serpentine; an unknown id throws
+// Error("Unknown template: ..."). Returns { template, snake, error }:
+// the id actually built, the oriented path, and snakePathError's verdict on it.
+export function buildRandomSnakePath(cols, rows, template = 'auto', rng, weights, options = {}) {
+  let entry = (template && template !== 'auto') ? getTemplate(template) : pickTemplate(cols, rows, rng, weights);
+  if (!entry) throw new Error(`Unknown template: ${template}`);
+  let snake = entry?.fits(cols, rows) ? entry.build(cols, rows, rng, options[entry.id] ?? {}) : null;
+  if (!snake) { entry = getTemplate("serpentine"); snake = buildSnakePathBase(cols, rows); }
+  const error = snakePathError(snake, cols, rows);
+  return { template: entry.id, snake: error ? snake : orient(snake, cols, rows, rng), error };
+}
+
+// ---------- Built-in templates ----------
+// `fits` follows scripts/check-templates.js, which also fails on a template
+// that fits no playable board size.
+registerTemplate({ id: "backbite",     label: "Random (backbite)",         weight: 30,  build: buildBackbitePath });
+registerTemplate({ id: "dfs",          label: "DFS",                       weight: 24,  build: buildDFSHamiltonian });
+registerTemplate({ id: "serpentine",   label: "Serpentine",                weight: 18,  build: buildSnakePathBase });
+registerTemplate({ id: "spiral",       label: "Spiral",                    weight: 14,  build: buildSpiralSnakePath });
+registerTemplate({ id: "column",       label: "Column",                    weight: 14,  build: buildColumnSnakePath });
+registerTemplate({ id: "diagonal",     label: "Diagonal",                  weight: 8,   build: buildDiagonalSnakePath });
+registerTemplate({ id: "center",       label: "Center spiral",             weight: 9,   build: buildCenterSpiralPath,
+                   fits: (cols, rows) => cols === rows || cols === rows + 1 });
+registerTemplate({ id: "rings",        label: "Rings",                     weight: 3,   build: buildRingsPath });
+registerTemplate({ id: "spokes",       label: "Radial spokes",             weight: 1,   build: buildSpokesPath,
+                   fits: (cols, rows) => (cols % 2 === 0 || rows % 2 === 0) && cols >= 4 && rows >= 4 });
+registerTemplate({ id: "corner",       label: "Corner spiral",             weight: 1,   build: buildCornerSpiralPath });
+registerTemplate({ id: "perimeter",    label: "Perimeter-first",           weight: 0.5, build: buildPerimeterFirstPath });
+registerTemplate({ id: "checker2",     label: "Checkerboard (2×2 blocks)", weight: 2,   build: buildCheckerboard2x2Path,
+                   fits: (cols, rows) => cols % 2 === 0 && rows % 2 === 0 });
+registerTemplate({ id: "diagstripes",  label: "Diagonal stripes",          weight: 0.5, build: buildDiagonalStripesPath });
+registerTemplate({ id: "hilbert",      label: "Recursive (Hilbert-like)",  weight: 0.5, build: buildHilbertLikePath });
+registerTemplate({ id: "block",        label: "Block (2-row blocks)",      weight: 0.5, build: buildBlockSnakePath,
+                   fits: (cols) => cols % 2 === 1 });
+registerTemplate({ id: "tile",         label: "Tile (2×2 tiles)",          weight: 0,   build: buildTileSnakePath,
+                   fits: (cols, rows) => cols % 2 === 0 && rows % 2 === 0 });
+registerTemplate({ id: "checkerboard", label: "Checkerboard",              weight: 3,   build: buildCheckerboardPath,
+                   fits: (cols, rows) => rows % 2 === 1 });
@@ -0,0 +1,47 @@
+// ================================
+// Connex — themes
+// Colours for the page (CSS custom properties, see styles.css) and the board
+// canvas (draw() in connex.js). The colour-blind theme uses the Okabe–Ito
+// palette, so the trail, the player, hints and dead ends differ in brightness
+// as well as hue.
+// ================================
+export const THEMES = [
+  {
+    key: "dark", label: "Dark",
+    css: { bg: "#0f1215", fg: "#e8eaed", border: "#4b5563", panel: "#1f2937", board: "#0b0e11", focus: "#93c5fd",
+           accent: "#2ecc71", player: "#e74c3c", teal: "#00bcd4", orange: "#ff9800" },
+    grid: "#808995", walls: "#e8eaed", numbers: "#e8eaed", numberShadow: "rgba(0,0,0,0.6)",
+    trail: "#00bcd4", trailGlow: "rgba(0, 188, 212, 0.45)", player: "#e74c3c", playerGlow: "rgba(231,76,60,0.6)",
+    hint: "rgba(46, 204, 113, 0.45)", hintSoft: "rgba(46, 204, 113, 0.2)", retract: "#ff9800",
+    deadEnd: "#e74c3c", deadEndFill: "rgba(231, 76, 60, 0.25)", cursor: "#93c5fd"
+  },
+  {
+    key: "light", label: "Light",
+    css: { bg: "#f3f4f6", fg: "#111827", border: "#9ca3af", panel: "#ffffff", board: "#ffffff", focus: "#1d4ed8",
+           accent: "#15803d", player: "#c0392b", teal: "#0e7490", orange: "#c2410c" },
+    grid: "#9ca3af", walls: "#111827", numbers: "#111827", numberShadow: "rgba(255,255,255,0.8)",
+    trail: "#0284c7", trailGlow: "rgba(2, 132, 199, 0.3)", player: "#c0392b", playerGlow: "rgba(192,57,43,0.45)",
+    hint: "rgba(21, 128, 61, 0.35)", hintSoft: "rgba(21, 128, 61, 0.15)", retract: "#c2410c",
+    deadEnd: "#c0392b", deadEndFill: "rgba(192, 57, 43, 0.18)", cursor: "#1d4ed8"
+  },
+  {
+    key: "contrast", label: "High contrast",
+    css: { bg: "#000000", fg: "#ffffff", border: "#ffffff", panel: "#000000", board: "#000000", focus: "#ffff00",
+           accent: "#00ff00", player: "#ff00ff", teal: "#00ffff", orange: "#ffff00" },
+    grid: "#ffffff", walls: "#ffff00", numbers: "#ffffff", numberShadow: "#000000",
+    trail: "#00ffff", trailGlow: "rgba(0, 0, 0, 0)", player: "#ff00ff", playerGlow: "rgba(0, 0, 0, 0)",
+    hint: "rgba(0, 255, 0, 0.55)", hintSoft: "rgba(0, 255, 0, 0.3)", retract: "#ffff00",
+    deadEnd: "#ff4040", deadEndFill: "rgba(255, 64, 64, 0.4)", cursor: "#ffff00"
+  },
+  {
+    key: "colorblind", label: "Colour-blind safe",
+    css: { bg: "#0f1215", fg: "#f0f0f0", border: "#6b7280", panel: "#1f2937", board: "#0b0e11", focus: "#56b4e9",
+           accent: "#009e73", player: "#e69f00", teal: "#56b4e9", orange: "#e69f00" },
+    grid: "#808995", walls: "#f0f0f0", numbers: "#f0f0f0", numberShadow: "rgba(0,0,0,0.6)",
+    trail: "#56b4e9", trailGlow: "rgba(86, 180, 233, 0.4)", player: "#e69f00", playerGlow: "rgba(230,159,0,0.6)",
+    hint: "rgba(0, 158, 115, 0.5)", hintSoft: "rgba(0, 158, 115, 0.25)", retract: "#f0e442",
+    deadEnd: "#cc79a7", deadEndFill: "rgba(204, 121, 167, 0.3)", cursor: "#56b4e9"
+  }
+];
+
+export function getTheme(key) { return THEMES.find(t => t.key === key) ?? null; }
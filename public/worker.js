@@ -0,0 +1,17 @@
+// ================================
+// Connex — generator worker
+// Runs layout generation / verification off the main thread so remote input
+// stays responsive. The search is synchronous, so the page cancels a job by
+// terminating this worker and starting a fresh one.
+// ================================
+import { runJob } from './engine/jobs.js';
+
+self.onmessage = (e) => {
+  const { id, ...msg } = e.data;
+  try {
+    const result = runJob(msg, (p) => self.postMessage({ id, type: "progress", ...p }));
+    self.postMessage({ id, type: "done", ...result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: String(err?.message ?? err) });
+  }
+};
@@ -0,0 +1,63 @@
+// puzzles.js (ESM) — puzzle generation for server.js on worker threads
+// createPuzzle is synchronous and can take seconds on big boards, so it runs
+// in a small pool of workers (this same file) instead of on the thread that
+// answers requests. Jobs queue while every worker is busy; past maxQueue the
+// pool turns requests away rather than letting the wait grow without bound.
+import { Worker, isMainThread, parentPort } from 'node:worker_threads';
+import { availableParallelism } from 'node:os';
+import { createPuzzle } from './public/engine/index.js';
+
+if (!isMainThread) {
+  parentPort.on('message', (opts) => {
+    try { parentPort.postMessage({ puzzle: createPuzzle(opts) }); }
+    catch (err) { parentPort.postMessage({ error: err.message }); }
+  });
+}
+
+// create(opts) resolves with createPuzzle(opts) (opts as for createPuzzle).
+export function createPuzzlePool({ size = Math.max(1, availableParallelism() - 1), maxQueue = 32 } = {}) {
+  const idle = [], queue = [];       // queue: [{ opts, resolve, reject }]
+  let running = 0;                   // workers started and not exited
+
+  function spawn() {
+    const worker = new Worker(new URL(import.meta.url));
+    let job = null, failure = null;
+    running++;
+    worker.on('message', ({ puzzle, error }) => {
+      const done = job; job = null;
+      if (error) done.reject(new Error(error));
+      else done.resolve(puzzle);
+      take(worker);
+    });
+    worker.on('error', (err) => { failure = err; });
+    worker.on('exit', (code) => {
+      running--;
+      const i = idle.indexOf(worker);
+      if (i >= 0) idle.splice(i, 1);
+      job?.reject(failure ?? new Error(`Puzzle worker exited with code ${code}`));
+      pump();
+    });
+    worker.assign = (next) => { job = next; worker.postMessage(next.opts); };
+    return worker;
+  }
+
+  // Give `worker` the next queued job, or park it
+  function take(worker) {
+    const next = queue.shift();
+    if (next) worker.assign(next);
+    else idle.push(worker);
+  }
+  function pump() {
+    while (queue.length && (idle.length || running < size)) take(idle.pop() ?? spawn());
+  }
+
+  function create(opts) {
+    if (queue.length >= maxQueue) return Promise.reject(new Error('Puzzle server busy, try again shortly'));
+    return new Promise((resolve, reject) => {
+      queue.push({ opts, resolve, reject });
+      pump();
+    });
+  }
+
+  return { create };
+}
@@ -0,0 +1,62 @@
+// scores.js (ESM) — leaderboard storage for server.js
+// Scores live in one local JSON file so the server runs without outside
+// services. Writes are serialized and atomic (write to a temp file, then rename).
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// entry: { puzzle, mode, day, name, elapsedMs, moves, hints, at }
+//   puzzle = puzzleId (see engine/modes.js); day = "YYYY-MM-DD" for dailies, else null
+export function createScoreStore(file) {
+  let loading = null;                // promise of the scores array, read once
+  let writing = Promise.resolve();
+
+  // The first caller reads the file and everyone after shares that read, so
+  // concurrent first requests all push into the same array.
+  function load() {
+    loading ??= readFile(file, 'utf8').then(
+      (text) => JSON.parse(text).scores ?? [],
+      (err) => { if (err.code !== 'ENOENT') throw err; return []; }
+    ).catch((err) => { loading = null; throw err; });   // retry on the next call
+    return loading;
+  }
+
+  // Queue a write of the current scores; a failed write doesn't block later ones.
+  function persist(scores) {
+    writing = writing.catch(() => {}).then(async () => {
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(`${file}.tmp`, JSON.stringify({ version: 1, scores }));
+      await rename(`${file}.tmp`, file);
+    });
+    return writing;
+  }
+
+  // Best time per player, fastest first, on one daily, one board (puzzle id) or
+  // across a mode.
+  async function top({ mode, puzzle, day = null, limit = 10 }) {
+    const best = new Map();            // name -> entry
+    for (const s of await load()) {
+      if (day ? s.day !== day : puzzle ? s.puzzle !== puzzle : s.mode !== mode) continue;
+      const cur = best.get(s.name);
+      if (!cur || s.elapsedMs < cur.elapsedMs) best.set(s.name, s);
+    }
+    const ranked = [...best.values()].sort((a, b) => a.elapsedMs - b.elapsedMs || a.at.localeCompare(b.at));
+    return { total: ranked.length, scores: ranked.slice(0, limit) };
+  }
+
+  // Record a score; resolves with the player's rank on the matching board.
+  // Rejects (and keeps nothing) if the file can't be written.
+  async function add(entry) {
+    const scores = await load();
+    scores.push(entry);
+    try {
+      await persist(scores);
+    } catch (err) {
+      scores.splice(scores.indexOf(entry), 1);
+      throw err;
+    }
+    const { scores: ranked } = await top({ puzzle: entry.puzzle, day: entry.day, limit: Infinity });
+    return { rank: ranked.findIndex(s => s.name === entry.name) + 1, total: ranked.length };
+  }
+
+  return { add, top };
+}
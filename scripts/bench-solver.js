@@ -0,0 +1,63 @@
+// ================================
+// Connex — solver benchmark
+//   npm run bench:solver [-- <boards per size>]
+// Times the solver on seeded boards per size: generated (solvable) boards for
+// solvability and uniqueness, and random number placements (mostly
+// unsolvable) for the "no" side. "definite" = the search finished with a
+// verdict inside the budget rather than giving up.
+// ================================
+import { getMode, generateLayout, createLayout, createRng, searchSolutions } from '../public/engine/index.js';
+
+const BOARDS = Number(process.argv[2]) || 20;
+const MAX_NODES = 2_000_000;
+const SIZES = [[6, 6], [7, 7], [8, 8], [6, 8], [10, 10]];
+
+function stats(ms) {
+  ms.sort((a, b) => a - b);
+  const at = (p) => ms[Math.min(ms.length - 1, Math.floor(ms.length * p))].toFixed(2);
+  return `median ${at(0.5)} ms, p95 ${at(0.95)} ms, max ${at(1)} ms`;
+}
+
+// K numbers on random cells, no walls
+function randomBoard(cols, rows, K, rng) {
+  const cells = Array.from({ length: cols * rows }, (_, i) => i);
+  for (let i = cells.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [cells[i], cells[j]] = [cells[j], cells[i]];
+  }
+  const anchors = cells.slice(0, K).map((c, i) => ({ x: c % cols, y: Math.floor(c / cols), n: i + 1 }));
+  return { cols, rows, anchors, walls: [], playerStart: anchors[0], goalPos: anchors[K - 1] };
+}
+
+function time(saved, cap) {
+  const layout = createLayout(saved);
+  const { x: sx, y: sy } = saved.playerStart, { x: gx, y: gy } = saved.goalPos;
+  const t = performance.now();
+  const res = searchSolutions(layout, sx, sy, gx, gy, { cap, timeBudgetMs: Infinity, maxNodes: MAX_NODES });
+  return { ms: performance.now() - t, definite: res.exhausted || res.count >= cap, count: res.count };
+}
+
+function row(label, runs) {
+  const definite = runs.filter(r => r.definite).length;
+  console.log(`  ${label.padEnd(12)} ${String(definite).padStart(3)}/${runs.length} definite, ${stats(runs.map(r => r.ms))}`);
+}
+
+for (const [cols, rows] of SIZES) {
+  const def = getMode(cols === 6 && rows === 6 ? "expert" : `expert@${cols}x${rows}`);
+  const rng = createRng(`bench-${cols}x${rows}`);
+  const boards = [];
+  for (let i = 0; boards.length < BOARDS && i < BOARDS * 2; i++) {
+    const saved = generateLayout(def, { seed: `bench-${i}` });
+    if (saved) boards.push(saved);
+  }
+  const random = Array.from({ length: BOARDS }, () => randomBoard(cols, rows, def.K, rng));
+  const solvable = boards.map(b => time(b, 1));
+  const unique = boards.map(b => time(b, 2));
+  const noSide = random.map(b => time(b, 1));
+
+  console.log(`${cols}×${rows} (K ${def.K})`);
+  row("solvable", solvable);
+  row("uniqueness", unique);
+  row("random", noSide);
+  console.log(`  random boards solvable: ${noSide.filter(r => r.count).length}/${noSide.length}`);
+}
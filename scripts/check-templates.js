@@ -0,0 +1,59 @@
+// ================================
+// Connex — template conformance
+//   npm run check:templates [-- <seeds per size>]
+// Builds every registered template on every board from 2×2 to 12×12 where it
+// claims to fit, a few seeds each, and checks the raw and the oriented path
+// with snakePathError. A template that fits no playable size (MIN_BOARD_SIDE
+// to MAX_BOARD_SIDE a side) fails too, and so does a backbite mixing length
+// from templateOptions that doesn't set the step count. Prints one line per
+// check; exits 1 on any failure.
+// ================================
+import { listTemplates, buildRandomSnakePath, snakePathError, createRng, BACKBITE_MIXING, MIN_BOARD_SIDE, MAX_BOARD_SIDE } from '../public/engine/index.js';
+
+const SEEDS = Number(process.argv[2]) || 3;
+const MIN_SIDE = 2, MAX_SIDE = 12;
+
+let failures = 0;
+for (const t of listTemplates()) {
+  let checked = 0, skipped = 0, playable = 0;
+  const bad = [];
+  for (let cols = MIN_SIDE; cols <= MAX_SIDE; cols++) for (let rows = MIN_SIDE; rows <= MAX_SIDE; rows++) {
+    if (!t.fits(cols, rows)) { skipped++; continue; }
+    checked++;
+    if (cols >= MIN_BOARD_SIDE && rows >= MIN_BOARD_SIDE && cols <= MAX_BOARD_SIDE && rows <= MAX_BOARD_SIDE) playable++;
+    for (let s = 0; s < SEEDS; s++) {
+      const seed = `${t.id}-${cols}x${rows}-${s}`;
+      let error;
+      try {
+        const raw = t.build(cols, rows, createRng(seed));
+        error = raw === null ? null : snakePathError(raw, cols, rows);
+        const out = buildRandomSnakePath(cols, rows, t.id, createRng(seed));
+        error ??= out.error ?? snakePathError(out.snake, cols, rows);
+      } catch (err) {
+        error = `threw ${err.message}`;
+      }
+      if (error) { bad.push(`${cols}×${rows} (seed ${seed}): ${error}`); break; }
+    }
+  }
+  if (!playable) bad.push(`fits no playable size (${MIN_BOARD_SIDE}×${MIN_BOARD_SIDE} to ${MAX_BOARD_SIDE}×${MAX_BOARD_SIDE})`);
+  failures += bad.length;
+  console.log(`${bad.length ? 'FAIL' : 'ok  '} ${t.id.padEnd(13)} fits ${checked} sizes, ${skipped} skipped`);
+  for (const line of bad) console.log(`       ${line}`);
+}
+
+// Template options: backbite draws twice per step, and buildRandomSnakePath
+// (by id) four more times to orient the path, so the draw count gives the
+// step count a mode's templateOptions asked for.
+for (const [options, steps] of [[{}, BACKBITE_MIXING * 36 ** 2], [{ mixing: 3 }, 3 * 36 ** 2], [{ steps: 500 }, 500]]) {
+  const rng = createRng('backbite-options'); let draws = 0;
+  buildRandomSnakePath(6, 6, 'backbite', () => { draws++; return rng(); }, undefined, { backbite: options });
+  const ok = draws === 2 * steps + 4;
+  if (!ok) failures++;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} backbite ${JSON.stringify(options)} ran ${(draws - 4) / 2} steps, want ${steps}`);
+}
+
+if (failures) {
+  console.log(`\n${failures} template check${failures === 1 ? '' : 's'} failed (broken path, no playable size or options ignored).`);
+  process.exit(1);
+}
+console.log(`\nEvery template gives a Hamiltonian path wherever it fits, and fits a playable size; backbite takes its mixing length from templateOptions.`);
@@ -1,6 +1,9 @@
-
 // server.js (ESM)
 import express from 'express';
+import { getMode, getTemplate, utcDay, puzzleId, parsePuzzleId, replayMoves, DIRS } from './public/engine/index.js';
+import { createScoreStore } from './scores.js';
+import { createPuzzlePool } from './puzzles.js';
+
 const app = express();
 
 const port = process.env.PORT || 3000;
@@ -9,6 +12,164 @@ app.use(express.static('public'));
 
 app.get('/api/health', (_req, res) => res.json({ ok: true }));
 
+// ---------- Puzzles ----------
+// Same generator + solver as the browser (public/engine), so weak TV boxes can
+// fetch pre-verified boards. Responses use the savedLayout shape:
+// { mode, cols, rows, playerStart, goalPos, anchors, walls, template, seed }.
+// Generation runs on worker threads (puzzles.js), so a slow board doesn't hold
+// up other requests. Seeded boards are deterministic, so they are kept in a
+// small LRU cache (as promises, so concurrent requests share one job);
+// unseeded requests get a fresh random seed, echoed back in `seed`.
+const PUZZLE_CACHE_MAX = 200;
+const puzzleCache = new Map();
+const puzzles = createPuzzlePool();
+
+function cachedPuzzle(opts) {
+  const key = JSON.stringify(opts);
+  if (puzzleCache.has(key)) {
+    const hit = puzzleCache.get(key);
+    puzzleCache.delete(key); puzzleCache.set(key, hit); // refresh LRU position
+    return hit;
+  }
+  const puzzle = puzzles.create(opts);
+  puzzle.catch(() => { if (puzzleCache.get(key) === puzzle) puzzleCache.delete(key); });
+  puzzleCache.set(key, puzzle);
+  if (puzzleCache.size > PUZZLE_CACHE_MAX) puzzleCache.delete(puzzleCache.keys().next().value);
+  return puzzle;
+}
+
+// "1", "true" or true -> true, like the unique flag in /api/puzzle's query
+const parseFlag = (v) => v === true || v === '1' || v === 'true';
+
+// "YYYY-MM-DD" (UTC) -> Date, or null if malformed
+function parseDay(str) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(str)) return null;
+  const date = new Date(`${str}T00:00:00Z`);
+  return (Number.isNaN(date.getTime()) || utcDay(date) !== str) ? null : date;
+}
+
+async function sendPuzzle(res, opts) {
+  try {
+    res.json(await (opts.seed != null || opts.date ? cachedPuzzle(opts) : puzzles.create(opts)));
+  } catch (err) {
+    res.status(503).json({ error: err.message });
+  }
+}
+
+// GET /api/puzzle?mode=expert&seed=abc&template=spiral&unique=1
+app.get('/api/puzzle', (req, res) => {
+  const { mode = 'zip', seed, template = 'auto', unique } = req.query;
+  const def = getMode(mode);
+  if (!def) return res.status(400).json({ error: `Unknown mode: ${mode}` });
+  if (def.kind === 'daily') return res.redirect(307, 'daily');
+  if (template !== 'auto' && !getTemplate(template)) return res.status(400).json({ error: `Unknown template: ${template}` });
+  sendPuzzle(res, { mode, seed, template, unique: parseFlag(unique) });
+});
+
+// GET /api/daily[?date=YYYY-MM-DD] — today's (UTC) board, or a past one
+app.get('/api/daily', (req, res) => {
+  const today = utcDay();
+  const day = req.query.date ?? today;
+  const date = parseDay(day);
+  if (!date) return res.status(400).json({ error: `Bad date: ${day} (want YYYY-MM-DD)` });
+  if (day > today) return res.status(404).json({ error: `Daily for ${day} isn't out yet` });
+  sendPuzzle(res, { mode: 'daily', date });
+});
+
+// ---------- Leaderboard ----------
+// Scores are only recorded after the board is rebuilt from its seed and the
+// submitted moves are replayed under the game rules (engine replayMoves).
+// A new time is ranked on its own board (puzzle id, or day for dailies). The
+// mode-wide table is kept too, but the client picks seed, template and
+// uniqueness, so it favours whoever rerolled an easy board; ?puzzle= compares
+// like with like.
+const scores = createScoreStore(process.env.SCORES_FILE || 'data/scores.json');
+const MAX_NAME_LENGTH = 24;
+const MAX_MOVES = 10_000;
+const MIN_MS_PER_MOVE = 30;          // faster than this is not a person on a remote
+const MAX_ELAPSED_MS = 24 * 60 * 60 * 1000;
+
+// POST /api/scores { puzzle: "<puzzleId>" | mode + seed [+ template, unique], moves: ["up", ...], elapsedMs, hints, name }
+app.post('/api/scores', express.json({ limit: '256kb' }), async (req, res, next) => {
+  const body = req.body ?? {};
+  const id = body.puzzle
+    ? parsePuzzleId(body.puzzle)
+    : { mode: body.mode, seed: body.seed, template: body.template ?? 'auto', unique: parseFlag(body.unique) };
+  const def = getMode(id.mode);
+  if (!def || !id.seed) return res.status(400).json({ error: 'Need a puzzle id, or mode + seed' });
+  if (id.template !== 'auto' && !getTemplate(id.template)) return res.status(400).json({ error: `Unknown template: ${id.template}` });
+
+  let day = null;
+  if (def.kind === 'daily') {
+    day = String(id.seed).replace(/^daily-/, '');
+    if (!parseDay(day) || day > utcDay()) return res.status(400).json({ error: `Bad daily seed: ${id.seed}` });
+  }
+  const { moves } = body;
+  if (!Array.isArray(moves) || moves.length > MAX_MOVES || !moves.every(m => Object.hasOwn(DIRS, m))) {
+    return res.status(400).json({ error: 'moves must be a list of up/right/down/left' });
+  }
+  const elapsedMs = Number(body.elapsedMs);
+  if (!Number.isFinite(elapsedMs) || elapsedMs < moves.length * MIN_MS_PER_MOVE || elapsedMs > MAX_ELAPSED_MS) {
+    return res.status(400).json({ error: 'Implausible elapsedMs' });
+  }
+  const name = String(body.name ?? '').trim().slice(0, MAX_NAME_LENGTH) || 'Anonymous';
+  const hints = Math.min(MAX_MOVES, Math.max(0, parseInt(body.hints, 10) || 0)); // self-reported
+
+  let puzzle;
+  try {
+    puzzle = await cachedPuzzle(def.kind === 'daily'
+      ? { mode: 'daily', date: parseDay(day) }
+      : { mode: id.mode, seed: id.seed, template: id.template, unique: id.unique });
+  } catch (err) {
+    return res.status(503).json({ error: err.message });
+  }
+  const check = replayMoves(puzzle, moves);
+  if (!check.valid) return res.status(422).json({ error: `Replay rejected: ${check.reason}` });
+
+  try {
+    const result = await scores.add({
+      puzzle: puzzleId(puzzle), mode: def.key, day, name,
+      elapsedMs: Math.round(elapsedMs), moves: moves.length, hints, at: new Date().toISOString()
+    });
+    res.status(201).json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// GET /api/leaderboard?mode=expert | ?puzzle=<puzzleId> | ?daily=YYYY-MM-DD  [&limit=10]
+// — best time per player in that mode, on that board or on that day
+app.get('/api/leaderboard', async (req, res, next) => {
+  const { mode, puzzle, daily } = req.query;
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 10));
+  try {
+    if (daily != null) {
+      if (!parseDay(daily)) return res.status(400).json({ error: `Bad date: ${daily} (want YYYY-MM-DD)` });
+      return res.json({ daily, ...(await scores.top({ day: daily, limit })) });
+    }
+    if (puzzle == null) {
+      const def = getMode(mode);
+      if (!def) return res.status(400).json({ error: `Unknown mode: ${mode}` });
+      return res.json({ mode: def.key, ...(await scores.top({ mode: def.key, limit })) });
+    }
+    const id = parsePuzzleId(puzzle ?? '');
+    const def = getMode(id.mode);
+    if (!def || def.kind === 'daily' || !id.seed) return res.status(400).json({ error: 'Need a puzzle id (mode:template:u|s:seed), mode or daily=YYYY-MM-DD' });
+    const board = puzzleId({ ...id, mode: def.key });
+    res.json({ puzzle: board, ...(await scores.top({ puzzle: board, limit })) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Errors from the API (a malformed or oversized JSON body, a failed write) come
+// back as { error } like everything else there, never as Express's HTML page.
+app.use('/api', (err, _req, res, _next) => {
+  const status = err.status ?? err.statusCode ?? 500;
+  if (status >= 500) console.error(err);
+  res.status(status).json({ error: err.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : err.expose ? err.message : 'Server error' });
+});
+
 app.listen(port, () => {
   console.log(`Server listening on http://localhost:${port}`);
 });
@@ -1,4 +0,0 @@
-function buildSnakePathBase(cols,rows){const path=[];for(let y=0;y<rows;y++){if(y%2===0){for(let x=0;x<cols;x++)path.push({x,y});}else{for(let x=cols-1;x>=0;x--)path.push({x,y});}}return path;}
-function buildCheckerboard2x2Path(cols, rows) { const path = []; for (let by = 0; by < rows; by += 2) { const blockRow = Math.floor(by / 2); const blockCols = []; for (let bx = 0; bx < cols; bx += 2) blockCols.push(bx); if (blockRow % 2 === 1) blockCols.reverse(); for (const bx of blockCols) { const xs = [bx, Math.min(bx + 1, cols - 1)]; const ys = [by, Math.min(by + 1, rows - 1)]; if ((bx / 2 + blockRow) % 2 === 0) { for (let y = ys[0]; y <= ys[1]; y++) { for (let x of xs) path.push({ x, y }); } } else { for (let y = ys[1]; y >= ys[0]; y--) { for (let x of xs) path.push({ x, y }); } } } const total = cols * rows; if (path.length !== total) { const base = buildSnakePathBase(cols, rows); for (const p of base) if (!path.some(q => q.x === p.x && q.y === p.y)) path.push(p); } return path; }
-console.log(buildCheckerboard2x2Path(6,6).length, buildCheckerboard2x2Path(6,6).slice(0,12));
-console.log(buildCheckerboard2x2Path(5,5).length, buildCheckerboard2x2Path(5,5).slice(0,12));